@@ -0,0 +1,255 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * A local cache of downloaded image files, for `--cache-dir`.
+ *
+ * Each image file is stored in the cache directory as "UUID.SHA1", i.e. keyed
+ * by the image UUID and the SHA-1 of its file (`files[0].sha1`). The mtime of
+ * an entry is updated each time it is used, so that the least recently used
+ * entries can be evicted.
+ */
+
+var assert = require('assert-plus');
+var fs = require('fs');
+var path = require('path');
+var vasync = require('vasync');
+
+var common = require('./common');
+
+
+//---- globals
+
+// A cache entry file name: "UUID.SHA1".
+var ENTRY_RE = /^([a-f0-9-]{36})\.([a-f0-9]{40})$/;
+
+
+
+//---- ImageFileCache
+
+/**
+ * Create a cache of image files.
+ *
+ * @param options {Object}
+ *      - dir {String} The cache directory. It is created when the first
+ *        file is added.
+ *      - log {Bunyan Logger}
+ */
+function ImageFileCache(options) {
+    assert.object(options, 'options');
+    assert.string(options.dir, 'options.dir');
+    assert.object(options.log, 'options.log');
+
+    this.dir = options.dir;
+    this.log = options.log;
+}
+
+
+/**
+ * Return the path of the cache entry for the given image's file.
+ */
+ImageFileCache.prototype.entryPath = function entryPath(image) {
+    assert.object(image.files[0], 'image.files[0]');
+    return path.join(this.dir, image.uuid + '.' + image.files[0].sha1);
+};
+
+
+/**
+ * Create the cache directory, if necessary, to add an entry.
+ *
+ * @param callback {Function} `function (err)`
+ */
+ImageFileCache.prototype.prepare = function prepare(callback) {
+    fs.mkdir(this.dir, function (err) {
+        callback(err && err.code !== 'EEXIST' ? err : null);
+    });
+};
+
+
+/**
+ * Get the cache entry for the given image's file. The entry is verified
+ * against the SHA-1 and size of the file in the manifest: a corrupt entry is
+ * removed and treated as a miss.
+ *
+ * @param image {Object} The image manifest.
+ * @param callback {Function} `function (err, entryPath)` where `entryPath`
+ *      is null if the file isn't in the cache.
+ */
+ImageFileCache.prototype.get = function get(image, callback) {
+    var self = this;
+    var file = image.files[0];
+    var entryPath = self.entryPath(image);
+
+    common.hashFile(entryPath, function (err, actual) {
+        if (err && err.code === 'ENOENT') {
+            return callback(null, null);
+        } else if (err) {
+            return callback(err);
+        } else if (actual.sha1 !== file.sha1 || actual.size !== file.size) {
+            self.log.warn({entryPath: entryPath, expected: file,
+                actual: actual}, 'removing corrupt cache entry');
+            return fs.unlink(entryPath, function (unlinkErr) {
+                callback(unlinkErr, null);
+            });
+        }
+        var now = new Date();
+        fs.utimes(entryPath, now, now, function (utimesErr) {
+            callback(utimesErr, entryPath);
+        });
+    });
+};
+
+
+/**
+ * List the cache entries, most recently used first.
+ *
+ * @param callback {Function} `function (err, entries)` where each entry has
+ *      `uuid`, `sha1`, `path`, `size` and `mtime` (the last use, a Date).
+ */
+ImageFileCache.prototype.list = function list(callback) {
+    var self = this;
+    fs.readdir(self.dir, function (err, names) {
+        if (err && err.code === 'ENOENT') {
+            return callback(null, []);
+        } else if (err) {
+            return callback(err);
+        }
+
+        var entries = [];
+        vasync.forEachParallel({
+            inputs: names.filter(function (name) {
+                return ENTRY_RE.test(name);
+            }),
+            func: function statEntry(name, next) {
+                var match = ENTRY_RE.exec(name);
+                var entryPath = path.join(self.dir, name);
+                fs.stat(entryPath, function (statErr, stats) {
+                    if (statErr) {
+                        return next(statErr);
+                    }
+                    entries.push({
+                        uuid: match[1],
+                        sha1: match[2],
+                        path: entryPath,
+                        size: stats.size,
+                        mtime: stats.mtime
+                    });
+                    next();
+                });
+            }
+        }, function (statErr) {
+            entries.sort(function (a, b) {
+                return b.mtime.getTime() - a.mtime.getTime();
+            });
+            callback(statErr, entries);
+        });
+    });
+};
+
+
+/**
+ * Verify every cache entry against the SHA-1 in its name, removing corrupt
+ * entries.
+ *
+ * @param callback {Function} `function (err, entries, corrupt)` where
+ *      `corrupt` are the removed entries.
+ */
+ImageFileCache.prototype.verify = function verify(callback) {
+    var self = this;
+    self.list(function (err, entries) {
+        if (err) {
+            return callback(err);
+        }
+        var corrupt = [];
+        vasync.forEachPipeline({
+            inputs: entries,
+            func: function verifyEntry(entry, next) {
+                common.hashFile(entry.path, function (hashErr, actual) {
+                    if (hashErr) {
+                        return next(hashErr);
+                    } else if (actual.sha1 === entry.sha1) {
+                        return next();
+                    }
+                    corrupt.push(entry);
+                    fs.unlink(entry.path, next);
+                });
+            }
+        }, function (verifyErr) {
+            callback(verifyErr, entries, corrupt);
+        });
+    });
+};
+
+
+/**
+ * Remove cache entries last used longer ago than `options.maxAge`, then the
+ * least recently used entries until the cache is no bigger than
+ * `options.maxSize`.
+ *
+ * @param options {Object}
+ *      - maxAge {Number} Optional. In milliseconds.
+ *      - maxSize {Number} Optional. In bytes.
+ * @param callback {Function} `function (err, entries, evicted)` where
+ *      `evicted` are the removed entries.
+ */
+ImageFileCache.prototype.evict = function evict(options, callback) {
+    assert.object(options, 'options');
+    assert.optionalNumber(options.maxAge, 'options.maxAge');
+    assert.optionalNumber(options.maxSize, 'options.maxSize');
+
+    var self = this;
+    self.list(function (err, entries) {
+        if (err) {
+            return callback(err);
+        }
+
+        var evicted = [];
+        var size = 0;
+        var full = false;
+        var now = Date.now();
+        entries.forEach(function (entry) {
+            if (options.maxAge !== undefined &&
+                now - entry.mtime.getTime() > options.maxAge)
+            {
+                evicted.push(entry);
+                return;
+            }
+            // Keep the most recently used entries that fit.
+            if (options.maxSize !== undefined &&
+                size + entry.size > options.maxSize)
+            {
+                full = true;
+            }
+            if (full) {
+                evicted.push(entry);
+            } else {
+                size += entry.size;
+            }
+        });
+
+        vasync.forEachPipeline({
+            inputs: evicted,
+            func: function removeEntry(entry, next) {
+                self.log.debug({entry: entry}, 'evicting cache entry');
+                fs.unlink(entry.path, next);
+            }
+        }, function (removeErr) {
+            callback(removeErr, entries, evicted);
+        });
+    });
+};
+
+
+
+//---- exports
+
+module.exports = {
+    ImageFileCache: ImageFileCache
+};
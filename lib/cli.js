@@ -6,7 +6,7 @@
 
 /*
  * Copyright 2020 Joyent, Inc.
- * Copyright 2022 MNX Cloud, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
  */
 
 /*
@@ -19,6 +19,7 @@ var crypto = require('crypto');
 var fs = require('fs');
 var imgapi = require('sdc-clients/lib/imgapi');
 var nopt = require('nopt');
+var os = require('os');
 var path = require('path');
 var ProgressBar = require('progbar').ProgressBar;
 var restifyClients = require('restify-clients');
@@ -29,8 +30,17 @@ var url = require('url');
 var util = require('util');
 var vasync = require('vasync');
 
+var ImageFileCache = require('./cache').ImageFileCache;
 var common = require('./common');
+var compression = require('./compression');
+var diff = require('./diff');
 var errors = require('./errors');
+var filters = require('./filters');
+var retry = require('./retry');
+var template = require('./template');
+var throttle = require('./throttle').throttle;
+var validateManifest = require('./manifest').validateManifest;
+var validateUpdate = require('./manifest').validateUpdate;
 
 var format = util.format;
 var objCopy = common.objCopy;
@@ -44,6 +54,22 @@ if (process.env.HOME) {
 }
 
 
+// The image file name extension for each "files.*.compression".
+var FILE_EXT_FROM_COMPRESSION = {
+    'bzip2': '.bz2',
+    'gzip': '.gz',
+    'xz': '.xz',
+    'none': ''
+};
+
+// The icon file name extension for each icon content type.
+var ICON_EXT_FROM_CONTENT_TYPE = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif'
+};
+
+
 // The name of the event on a write stream indicating it is done.
 var nodeVer = process.versions.node.split('.').map(Number);
 var writeStreamFinishEvent = 'finish';
@@ -55,6 +81,12 @@ if (nodeVer[0] === 0 && nodeVer[1] <= 8) {
 /**
  * Ensure that the necessary options for adding a file are present.
  *
+ * The file compression is detected from the file content (its "magic"
+ * bytes). It is an error if a given compression (e.g. from the "-c" option)
+ * contradicts the content. A compression implied by a contradicting file
+ * extension is ignored, with a warning. For a URL the server detects the
+ * compression, and for stdin ("-f -") it is detected as stdin is read.
+ *
  * @param opts {Object} A subcmd options object using `file` and
  *      `compression` if appropriate.
  *      Note: This object may be modified in-place.
@@ -65,21 +97,113 @@ function ensureAddFileOpts(opts, callback) {
         // No need.
         return callback();
     }
-    if (!opts.compression) {
-        var ext = path.extname(opts.file);
-        opts.compression = {'.bz2': 'bzip2', '.gz': 'gzip', '.xz': 'xz' }[ext];
-    }
-    if (!opts.compression) {
-        return callback(new errors.UsageError(format(
-            'could not determine file compression, use "-c" option')));
-    }
-    var VALID_COMPRESSIONS = ['bzip2', 'gzip', 'xz', 'none'];
-    if (VALID_COMPRESSIONS.indexOf(opts.compression) === -1) {
+    var VALID_COMPRESSIONS = compression.COMPRESSIONS;
+    if (opts.compression &&
+        VALID_COMPRESSIONS.indexOf(opts.compression) === -1) {
         return callback(new errors.UsageError(format(
             'invalid compression "%s": must be one of %s', opts.compression,
             VALID_COMPRESSIONS.join(', '))));
     }
-    callback();
+    if (/^https?:\/\//i.test(opts.file) || opts.file === '-') {
+        return callback();
+    }
+
+    compression.detectFileCompression(opts.file, function (err, detected) {
+        if (err) {
+            return callback(err);
+        }
+        callback(setDetectedCompression(opts, detected));
+    });
+}
+
+
+/**
+ * Set `opts.compression` to the compression detected from the content of
+ * the `opts.file` image file. Returns a UsageError if a given compression
+ * contradicts it (see `ensureAddFileOpts`).
+ */
+function setDetectedCompression(opts, detected) {
+    if (opts.compression && opts.compression !== detected) {
+        return new errors.UsageError(format(
+            'compression "%s" was given for file "%s", but its content ' +
+            'is %s', opts.compression, opts.file,
+            (detected === 'none' ? 'not compressed' :
+                '"' + detected + '" compressed')));
+    }
+
+    var ext = path.extname(opts.file);
+    var extCompression = {'.bz2': 'bzip2', '.gz': 'gzip', '.xz': 'xz'}[ext];
+    if (extCompression && extCompression !== detected) {
+        console.error('Warning: file "%s" extension implies "%s" ' +
+            'compression, but its content is "%s"', opts.file,
+            extCompression, detected);
+    }
+    opts.compression = detected;
+    return null;
+}
+
+
+/**
+ * Spool stdin to a temporary file, for "add-file -f -" without "--size".
+ *
+ * @param callback {Function} `function (err, spoolPath)`. On error the spool
+ *      file has already been removed.
+ */
+function spoolStdin(callback) {
+    var spoolPath = path.join(os.tmpdir(), format('imgapi-cli-stdin-%d-%s',
+        process.pid, crypto.randomBytes(4).toString('hex')));
+    var output = fs.createWriteStream(spoolPath, {mode: 384 /* 0600 */});
+    var finished = false;
+
+    function finish(err) {
+        if (finished) {
+            return;
+        }
+        finished = true;
+        if (err) {
+            process.stdin.unpipe(output);
+            output.destroy();
+            fs.unlink(spoolPath, function () {
+                callback(err);
+            });
+        } else {
+            callback(null, spoolPath);
+        }
+    }
+
+    process.stdin.on('error', finish);
+    output.on('error', finish);
+    output.on('close', function () {
+        finish();
+    });
+    process.stdin.pipe(output);
+}
+
+
+/**
+ * Detect the compression of the image file data on stdin from its first
+ * bytes, for "add-file -f - --size SIZE". Those bytes are put back to be
+ * read again.
+ *
+ * @param callback {Function} `function (err, compression)`
+ */
+function detectStdinCompression(callback) {
+    var stdin = process.stdin;
+
+    function onData(chunk) {
+        stdin.pause();
+        stdin.removeListener('data', onData);
+        stdin.removeListener('end', onEnd);
+        stdin.unshift(chunk);
+        callback(null, compression.compressionFromMagic(chunk));
+    }
+    function onEnd() {
+        stdin.removeListener('data', onData);
+        callback(new errors.UsageError('no image file data on stdin'));
+    }
+
+    stdin.on('data', onData);
+    stdin.on('end', onEnd);
 }
 
 
@@ -121,6 +245,231 @@ function ensureAddIconOpts(opts, callback) {
 }
 
 
+// The summary fields of each `list --group-by` group.
+var GROUP_FIELDS = ['count', 'total_size', 'max_size', 'newest'];
+
+// The "--format" output formats of list commands.
+var OUTPUT_FORMATS = ['table', 'json', 'ndjson', 'csv', 'tsv'];
+
+/*
+ * Return the output format for the "-j" and "--format" options of a list
+ * command.
+ *
+ * @throws {UsageError} for an invalid or conflicting format.
+ */
+function outputFormatFromOpts(opts) {
+    if (!opts.format) {
+        return (opts.json ? 'json' : 'table');
+    } else if (OUTPUT_FORMATS.indexOf(opts.format) === -1) {
+        throw new errors.UsageError(format(
+            'invalid output format "%s": must be one of %s', opts.format,
+            OUTPUT_FORMATS.join(', ')));
+    } else if (opts.json && opts.format !== 'json') {
+        throw new errors.UsageError(format(
+            'cannot use "-j" with "--format %s"', opts.format));
+    }
+    return opts.format;
+}
+
+/*
+ * Return the "--limit-rate" option (e.g. "500K" or "20M") of a file transfer
+ * command as a number of bytes per second, or undefined if not given.
+ *
+ * @throws {UsageError} for an invalid rate.
+ */
+function limitRateFromOpts(opts) {
+    if (opts['limit-rate'] === undefined) {
+        return undefined;
+    }
+    var rate = common.parseSize(opts['limit-rate']);
+    if (isNaN(rate) || rate <= 0) {
+        throw new errors.UsageError(format(
+            'invalid --limit-rate "%s": must be a size, e.g. "20M"',
+            opts['limit-rate']));
+    }
+    return rate;
+}
+
+
+/* JSSTYLED */
+var UUID_RE = /^[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}$/;
+
+// The line drawing strings for each `list --tree-style`.
+var TREE_STYLES = {
+    ascii: {
+        branch: ' |- ',
+        last: ' `- ',
+        pipe: ' |  ',
+        space: '    '
+    },
+    unicode: {
+        branch: ' \u251c\u2500 ',
+        last: ' \u2514\u2500 ',
+        pipe: ' \u2502  ',
+        space: '    '
+    }
+};
+
+
+/*
+ * Return the time (in ms since the epoch) for a date or duration ago CLI
+ * arg, e.g. "2025-01-01" or "7d". Returns NaN for an invalid arg.
+ */
+function timeFromArg(arg, now) {
+    var duration = common.parseDuration(arg);
+    return (isNaN(duration) ? Date.parse(arg) : now - duration);
+}
+
+
+/*
+ * Group images by "owner:name", with the images of each group sorted newest
+ * first by "published_at".
+ */
+function imagesFromOwnerName(images) {
+    var groups = {};
+    images.forEach(function (image) {
+        var ownerName = image.owner + ':' + image.name;
+        if (!groups[ownerName]) {
+            groups[ownerName] = [];
+        }
+        groups[ownerName].push(image);
+    });
+    Object.keys(groups).forEach(function (ownerName) {
+        groups[ownerName].sort(function (a, b) {
+            if (a.published_at === b.published_at) {
+                return 0;
+            }
+            return (a.published_at > b.published_at ? -1 : 1);
+        });
+    });
+    return groups;
+}
+
+
+/*
+ * Return a DownloadError if the SHA-1 or size of downloaded image file data
+ * don't match the manifest, else null. The error has `expected` and `actual`
+ * fields with the `sha1` and `size`.
+ *
+ * @param image {Object} The image manifest.
+ * @param actual {Object} The `sha1` (hex) and `size` of the downloaded data.
+ */
+function fileMismatchError(image, actual) {
+    var file = image.files[0];
+    var mismatches = [];
+    if (actual.size !== file.size) {
+        mismatches.push(format('size expected to be %d, but was %d',
+            file.size, actual.size));
+    }
+    if (actual.sha1 !== file.sha1) {
+        mismatches.push(format('SHA-1 expected to be %s, but was %s',
+            file.sha1, actual.sha1));
+    }
+    if (mismatches.length === 0) {
+        return null;
+    }
+    var err = new errors.DownloadError(format('image %s file %s',
+        image.uuid, mismatches.join('; ')));
+    err.expected = {sha1: file.sha1, size: file.size};
+    err.actual = {sha1: actual.sha1, size: actual.size};
+    return err;
+}
+
+
+/**
+ * Arrange images in a tree by "origin" for `list --tree`. The first column of
+ * each row is prefixed with tree lines. Faux image entries are added for
+ * missing origin images.
+ *
+ * @param images {Array} The images to show.
+ * @param options {Object}:
+ *      - @param columns {Array} Required. The output columns.
+ *      - @param sortFields {Array} Required. The fields on which to sort the
+ *          images of each generation.
+ *      - @param root {String} Optional. The UUID of an image to which to
+ *          limit the tree.
+ *      - @param depth {Number} Optional. The number of generations of
+ *          descendants to show.
+ *      - @param style {String} Optional. A key of `TREE_STYLES`. Default is
+ *          "ascii".
+ * @returns {Array} The rows to show, or null if `options.root` is neither
+ *      one of the images nor an origin of one of them.
+ */
+function treeImages(images, options) {
+    assert.arrayOfObject(images, 'images');
+    assert.arrayOfString(options.columns, 'options.columns');
+    assert.arrayOfString(options.sortFields, 'options.sortFields');
+    assert.optionalString(options.root, 'options.root');
+    assert.optionalNumber(options.depth, 'options.depth');
+    assert.optionalString(options.style, 'options.style');
+
+    var style = TREE_STYLES[options.style || 'ascii'];
+    var firstCol = options.columns[0];
+    var imageFromUuid = {};
+    var childrenFromUuid = {};
+    var roots = [];
+    var rows = [];
+
+    images.forEach(function (img) {
+        imageFromUuid[img.uuid] = img;
+    });
+    images.forEach(function (img) {
+        if (!img.origin) {
+            roots.push(img);
+            return;
+        }
+        if (!imageFromUuid[img.origin]) {
+            // Add faux entry for missing origins.
+            var faux = imageFromUuid[img.origin] = {uuid: img.origin};
+            options.columns.forEach(function onCol(col) {
+                if (!faux[col]) {
+                    faux[col] = '???';
+                }
+            });
+            roots.push(faux);
+        }
+        if (!childrenFromUuid[img.origin]) {
+            childrenFromUuid[img.origin] = [];
+        }
+        childrenFromUuid[img.origin].push(img);
+    });
+
+    if (options.root) {
+        if (!imageFromUuid[options.root]) {
+            return null;
+        }
+        roots = [imageFromUuid[options.root]];
+    }
+
+    function addRows(siblings, depth, prefix) {
+        tabula.sortArrayOfObjects(siblings, options.sortFields);
+        siblings.forEach(function (img, idx) {
+            var isLast = (idx === siblings.length - 1);
+            var children = childrenFromUuid[img.uuid];
+            if (depth > 0) {
+                var cell = img[firstCol];
+                if (cell === undefined || cell === null) {
+                    cell = '-';
+                }
+                img[firstCol] = prefix + (isLast ? style.last : style.branch) +
+                    cell;
+            }
+            rows.push(img);
+
+            if (children &&
+                (options.depth === undefined || depth < options.depth))
+            {
+                addRows(children, depth + 1, (depth === 0 ? '' :
+                    prefix + (isLast ? style.space : style.pipe)));
+            }
+        });
+    }
+    addRows(roots, 0, '');
+
+    return rows;
+}
+
+
 //---- CLI object
 
 /**
@@ -301,7 +650,17 @@ CLI.prototype.main = function main(argv, callback) {
             imgapiOpts.connectTimeout = self._connectTimeout;
         }
         imgapiOpts.rejectUnauthorized = !opts.insecure;
-        self.client = imgapi.createClient(imgapiOpts);
+        self._insecure = Boolean(opts.insecure);
+        self._retries = opts.retries || 0;
+        self._dryRun = Boolean(opts['dry-run']);
+        if (opts['cache-dir']) {
+            self.cache = new ImageFileCache({
+                dir: opts['cache-dir'],
+                log: self.log.child({component: 'cache'}, true)
+            });
+        }
+        self.client = retry.wrapClient(imgapi.createClient(imgapiOpts),
+            {retries: self._retries, log: self.log});
 
         var subcmd = args.shift();
         try {
@@ -330,7 +689,10 @@ CLI.prototype.handleArgv = function handleArgv(argv, envopts, callback) {
         'help': Boolean,
         'version': Boolean,
         'debug': Boolean,
-        'insecure': Boolean
+        'insecure': Boolean,
+        'retries': Number,
+        'cache-dir': String,
+        'dry-run': Boolean
     };
     var shortOpts = this.shortOpts = {
         'h': ['--help'],
@@ -351,6 +713,14 @@ CLI.prototype.handleArgv = function handleArgv(argv, envopts, callback) {
     }
 
     var opts = nopt(longOpts, shortOpts, argv, 2);
+    if (opts.retries !== undefined &&
+        (isNaN(opts.retries) || opts.retries < 0 ||
+        opts.retries % 1 !== 0))
+    {
+        return callback(new errors.UsageError(format(
+            'invalid --retries (must be a non-negative integer): %s',
+            opts.retries)));
+    }
 
     // envopts
     (envopts || []).forEach(function (envopt) {
@@ -425,7 +795,15 @@ CLI.prototype.printHelp = function printHelp(callback) {
         '    -h, --help          Show this help message and exit.',
         '    --version           Show version and exit.',
         '    -d, --debug         Verbose logging.',
-        '    --insecure          Do not validate a TLS certificate.'
+        '    --insecure          Do not validate a TLS certificate.',
+        '    --retries N         Retry calls that are safe to repeat (e.g.',
+        '                        getting or listing images, and downloads) up',
+        '                        to N times on a connection error, timeout or',
+        '                        429/502/503/504 response. Default: 0.',
+        '    --cache-dir DIR     Cache downloaded image files in DIR. See',
+        '                        "%s help cache".',
+        '    --dry-run           Check and print what a command that changes',
+        '                        images would do, without doing it.'
     ]);
     if (this.auth === 'basic') {
         lines = lines.concat([
@@ -520,6 +898,12 @@ CLI.prototype.dispatch = function dispatch(subcmd, argv, callback) {
         return callback(new errors.UnknownOptionError(extraOpts.join(', ')));
     }
 
+    // Fail closed: only commands that handle `--dry-run` may be run with it.
+    if (self._dryRun && !func.supportsDryRun) {
+        return callback(new errors.UsageError(format(
+            '"%s" does not support --dry-run', name)));
+    }
+
     var args = opts.argv.remain;
     delete opts.argv;
     assert.equal(subcmd, args.shift());
@@ -573,275 +957,1253 @@ CLI.prototype._errorFromClientError = function _errorFromClientError(err) {
 };
 
 
-CLI.prototype.do_ping = function do_ping(subcmd, opts, args, callback) {
+/**
+ * Get the image that a command would change, for `--dry-run`.
+ *
+ * @param uuid {String}
+ * @param options {Object} Optional. GetImage options, e.g. `channel`.
+ * @param callback {Function} `function (err, image)`
+ */
+CLI.prototype._dryRunGetImage = function _dryRunGetImage(uuid, options,
+        callback) {
     var self = this;
-    if (args.length) {
-        return callback(new errors.UsageError(
-            'unexpected args: ' + args.join(' ')));
+    if (callback === undefined) {
+        callback = options;
+        options = {};
     }
-    this.client.ping(function (err, pong, res) {
-        self.log.trace({err: err, client_res: res}, 'Ping');
+    self.client.getImage(uuid, options, function (err, image, res) {
+        self.log.trace({err: err, image: image, client_res: res},
+            'GetImage');
         if (err) {
             return callback(self._errorFromClientError(err));
         }
-        console.log(JSON.stringify(pong, null, 2));
-        callback();
+        callback(null, image);
     });
 };
-CLI.prototype.do_ping.description = 'Ping the IMGAPI to see if it is up.';
 
 
-CLI.prototype.do_state = function do_state(subcmd, opts, args, callback) {
+/**
+ * For `--dry-run` of create and import: check that the image doesn't exist
+ * yet and that its origin does, then print the image that would be created.
+ *
+ * @param action {String} "create" or "import".
+ * @param manifest {Object} The validated image manifest.
+ * @param opts {Object} The subcmd options, for adding the image file.
+ * @param callback {Function} `function (err)`
+ */
+CLI.prototype._dryRunCreate = function _dryRunCreate(action, manifest, opts,
+        callback) {
     var self = this;
-    if (args.length) {
-        return callback(new errors.UsageError(
-            'unexpected args: ' + args.join(' ')));
-    }
-    this.client.adminGetState(function (err, state, res) {
-        self.log.trace({err: err, client_res: res}, 'AdminGetState');
+    var getOpts = (self.features.channels ? {channel: '*'} : {});
+
+    vasync.pipeline({funcs: [
+        function checkNotExists(_, next) {
+            if (!manifest.uuid) {
+                return next();
+            }
+            self.client.getImage(manifest.uuid, getOpts,
+                    function (err, image, res) {
+                self.log.trace({err: err, image: image, client_res: res},
+                    'GetImage');
+                if (!err) {
+                    return next(new errors.DryRunError(format(
+                        'image %s already exists', manifest.uuid)));
+                } else if (err.body && err.body.code === 'ResourceNotFound') {
+                    return next();
+                }
+                next(self._errorFromClientError(err));
+            });
+        },
+        function checkOrigin(_, next) {
+            if (!manifest.origin) {
+                return next();
+            }
+            self._dryRunGetImage(manifest.origin, getOpts, function (err) {
+                if (err) {
+                    return next(new errors.DryRunError(format(
+                        'origin image %s: %s', manifest.origin, err.message)));
+                }
+                next();
+            });
+        }
+    ]}, function (err) {
         if (err) {
-            return callback(self._errorFromClientError(err));
+            return callback(err);
+        }
+        console.log('Would %s image (%s, %s):', action, manifest.name,
+            manifest.version);
+        console.log(JSON.stringify(manifest, null, 2));
+        if (opts.file) {
+            console.log('Would add file "%s" (compression=%s)', opts.file,
+                opts.compression);
+            console.log('Would activate the image');
         }
-        console.log(JSON.stringify(state, null, 2));
         callback();
     });
 };
-CLI.prototype.do_state.hidden = true;
-CLI.prototype.do_state.description = (
-    'Dump some IMGAPI internal state (for debugging).\n' +
-    '\n' +
-    'Usage:\n' +
-    '    $NAME state\n'
-);
 
 
-CLI.prototype.do_reload_auth_keys = function do_reload_auth_keys(
-        subcmd, opts, args, callback) {
-    var self = this;
-    if (args.length) {
-        return callback(new errors.UsageError(
-            'unexpected args: ' + args.join(' ')));
+/**
+ * Render a manifest template (see "lib/template.js"), for create and import.
+ * Template variables are taken from, in order of precedence:
+ * - the "--set KEY=VALUE" options (parsed as for `objFromKeyValueArgs`),
+ * - the "--vars FILE" JSON object,
+ * - environment variables (values parsed as for "--set"),
+ * - the "uuid" (a new UUID), "published_at" (the current time), and "sha1"
+ *   and "size" (of the "-f FILE" image file, unless it is a URL or stdin)
+ *   helpers.
+ *
+ * @param tmpl {Object} The parsed manifest, possibly a template.
+ * @param opts {Object} The subcmd options.
+ * @param callback {Function} `function (err, manifest)`
+ */
+CLI.prototype._renderManifestTemplate = function _renderManifestTemplate(
+        tmpl, opts, callback) {
+    var names = template.templateVarNames(tmpl);
+    if (names.length === 0) {
+        return callback(null, tmpl);
     }
-    this.client.adminReloadAuthKeys(function (err, state, res) {
-        self.log.trace({err: err, client_res: res}, 'AdminReloadAuthKeys');
+    var vars = {};
+
+    vasync.pipeline({funcs: [
+        function helperVars(_, next) {
+            vars.uuid = common.randomUuid();
+            vars.published_at = new Date().toISOString();
+            if ((names.indexOf('sha1') === -1 &&
+                names.indexOf('size') === -1) ||
+                !opts.file || opts.file === '-' ||
+                /^https?:\/\//i.test(opts.file))
+            {
+                return next();
+            }
+            common.hashFile(opts.file, function (err, info) {
+                if (err) {
+                    return next(err);
+                }
+                vars.sha1 = info.sha1;
+                vars.size = info.size;
+                next();
+            });
+        },
+        function envVars(_, next) {
+            Object.keys(process.env).forEach(function (k) {
+                vars[k] = valueFromArg(process.env[k]);
+            });
+            next();
+        },
+        function fileVars(_, next) {
+            if (!opts.vars) {
+                return next();
+            }
+            fs.readFile(opts.vars, 'utf8', function (err, data) {
+                if (err) {
+                    return next(err);
+                }
+                var fileVars;
+                try {
+                    fileVars = JSON.parse(data);
+                } catch (syntaxErr) {
+                    return next(new errors.UsageError(syntaxErr, format(
+                        'vars file "%s" is not valid JSON', opts.vars)));
+                }
+                if (typeof (fileVars) !== 'object' || fileVars === null ||
+                    Array.isArray(fileVars))
+                {
+                    return next(new errors.UsageError(format(
+                        'vars file "%s" is not a JSON object', opts.vars)));
+                }
+                Object.keys(fileVars).forEach(function (k) {
+                    vars[k] = fileVars[k];
+                });
+                next();
+            });
+        },
+        function setVars(_, next) {
+            var setVars;
+            try {
+                setVars = objFromKeyValueArgs([].concat(opts.set || []));
+            } catch (parseErr) {
+                return next(new errors.UsageError(parseErr.message));
+            }
+            Object.keys(setVars).forEach(function (k) {
+                vars[k] = setVars[k];
+            });
+            next();
+        }
+    ]}, function (err) {
         if (err) {
-            callback(self._errorFromClientError(err));
-        } else {
-            callback();
+            return callback(err);
+        }
+        // The file on stdin is only read when it is added.
+        var stdinVars = ['sha1', 'size'].filter(function (name) {
+            return (names.indexOf(name) !== -1 && vars[name] === undefined);
+        });
+        if (opts.file === '-' && stdinVars.length > 0) {
+            return callback(new errors.UsageError(format(
+                'cannot use the "%s" manifest template helper%s with ' +
+                '"-f -": give %s with "--set"', stdinVars.join('" and "'),
+                (stdinVars.length > 1 ? 's' : ''),
+                (stdinVars.length > 1 ? 'them' : 'it'))));
         }
+        var manifest;
+        try {
+            manifest = template.renderTemplate(tmpl, vars);
+        } catch (renderErr) {
+            return callback(renderErr);
+        }
+        callback(null, manifest);
     });
 };
-CLI.prototype.do_reload_auth_keys.description = (
-    'Request that the server reload auth keys.\n' +
-    '\n' +
-    'This is for use by administrators of the IMGAPI server, and is only\n' +
-    'relevant for servers that use HTTP Signature auth.\n' +
-    '\n' +
-    'Usage:\n' +
-    '    $NAME reload-auth-keys\n'
-);
 
 
-CLI.prototype.do_list = function do_list(subcmd, opts, args, callback) {
+/**
+ * List images page by page, following the "published_at" marker until the
+ * server returns a short page.
+ *
+ * This differs from `client.listImages()` (without a limit) in that it
+ * hands over each page as it arrives.
+ *
+ * Because the marker is a "published_at" time, a full page of images that
+ * were all published at the same time can't be paged past. That is a
+ * `PagingError` rather than silently stopping early.
+ *
+ * @param client {IMGAPI} The IMGAPI client to use, typically `this.client`.
+ * @param filters {Object} ListImages filters. `filters.limit` is used as the
+ *      page size (default 1000).
+ * @param listOpts {Object} ListImages options.
+ * @param onPage {Function} `function (images, next)` called with the new
+ *      images of each page. It must call `next(err, stop)`, where a true
+ *      `stop` ends the listing early.
+ * @param callback {Function} `function (err)`
+ */
+CLI.prototype._listImagesPaged = function _listImagesPaged(client, filters,
+        listOpts, onPage, callback) {
     var self = this;
-    var filters = {};
-    var listOpts = {};
-    var i;
-
-    if (opts.all) {
-        filters.state = 'all';
-    }
-    if (opts.marker) {
-        assert.string(opts.marker);
-        filters.marker = opts.marker;
-    }
-    if (opts.limit) {
-        filters.limit = opts.limit;
-    }
-    if (opts.inclAdminFields) {
-        listOpts.inclAdminFields = opts.inclAdminFields;
+    var pageFilters = objCopy(filters);
+    if (!pageFilters.limit) {
+        pageFilters.limit = 1000;
     }
 
-    for (i = 0; i < args.length; i++) {
-        var arg = args[i];
-        var idx = arg.indexOf('=');
-        if (idx === -1) {
-            return callback(new errors.UsageError(format(
-                'invalid filter: "%s" (must be of the form "field=value")',
-                arg)));
-        }
-        filters[arg.slice(0, idx)] = arg.slice(idx + 1);
-    }
-    this.client.listImages(filters, listOpts, function (err, images, res) {
-        self.log.trace({err: err, client_res: res}, 'ListImages');
-        if (err) {
-            return callback(self._errorFromClientError(err));
-        }
-        if (opts.latest) {
-            var imageFromOwnerName = {};
-            for (var j = 0; j < images.length; j++) {
-                var image = images[j];
-                var ownerName = image.owner + ':' + image.name;
-                if (!imageFromOwnerName[ownerName] ||
-                    image.published_at >
-                        imageFromOwnerName[ownerName].published_at)
-                {
-                    imageFromOwnerName[ownerName] = image;
-                }
-            }
-            images = Object.keys(imageFromOwnerName).map(
-                function (oN) { return imageFromOwnerName[oN]; });
+    // The marker is inclusive, so the images published at the marker time
+    // are returned again at the start of the next page. Remember them to
+    // skip them.
+    var boundaryUuids = {};
+
+    function listPage() {
+        client.listImages(objCopy(pageFilters), listOpts,
+                function (err, images, res) {
+            self.log.trace({err: err, client_res: res,
+                marker: pageFilters.marker}, 'ListImages');
+            if (err) {
+                return callback(self._errorFromClientError(err));
+            }
+
+            var lastPage = (images.length < pageFilters.limit);
+            var newImages = images.filter(
+                function (img) { return !boundaryUuids[img.uuid]; });
+            if (newImages.length === 0) {
+                return callback();
+            }
+
+            var last = images[images.length - 1];
+            var marker = last.published_at || last.uuid;
+            if (!lastPage &&
+                    (images[0].published_at || images[0].uuid) === marker) {
+                return callback(new errors.PagingError(format(
+                    'cannot list past the first %d images published at %s: ' +
+                    'the page size is too small', images.length, marker)));
+            }
+            if (marker !== pageFilters.marker) {
+                boundaryUuids = {};
+            }
+            images.forEach(function (img) {
+                if ((img.published_at || img.uuid) === marker) {
+                    boundaryUuids[img.uuid] = true;
+                }
+            });
+            pageFilters.marker = marker;
+
+            onPage(newImages, function (pageErr, stop) {
+                if (pageErr || stop || lastPage) {
+                    return callback(pageErr);
+                }
+                listPage();
+            });
+        });
+    }
+
+    listPage();
+};
+
+
+/**
+ * Create a client for a remote IMGAPI repository, e.g. to compare with. The
+ * caller must `close()` it when done.
+ *
+ * @param sourceUrl {String} The IMGAPI URL, e.g. "https://images.smartos.org".
+ *      A "channel" query param selects the channel to use, otherwise all
+ *      channels are searched.
+ * @throws {UsageError} for an invalid URL.
+ */
+CLI.prototype._createSourceClient = function _createSourceClient(sourceUrl) {
+    var purl = url.parse(sourceUrl, true);
+    if (!/^https?:$/.test(purl.protocol) || !purl.host) {
+        throw new errors.UsageError(format('invalid URL "%s"', sourceUrl));
+    }
+    var channel = purl.query.channel || '*';
+    delete purl.query.channel;
+    delete purl.search;
+
+    var sourceOpts = {
+        url: url.format(purl),
+        log: this.log.child({component: 'sourceapi', url: sourceUrl}, true),
+        channel: channel,
+        rejectUnauthorized: !this._insecure
+    };
+    if (this._connectTimeout) {
+        sourceOpts.connectTimeout = this._connectTimeout;
+    }
+    return retry.wrapClient(imgapi.createClient(sourceOpts),
+        {retries: this._retries, log: this.log});
+};
+
+
+/**
+ * Import the given images from a remote IMGAPI, with at most
+ * `options.concurrency` imports at a time. An incremental image is imported
+ * after its origin, if that is among the images; if importing the origin
+ * fails then the image is not attempted. The result of each import is
+ * printed, then a summary.
+ *
+ * @param images {Array} The image manifests to import, in the order to
+ *      import them.
+ * @param source {String} The IMGAPI URL to import from.
+ * @param options {Object}
+ *      - concurrency {Number}
+ *      - skipOwnerCheck {Boolean} Optional.
+ * @param callback {Function} `function (err)`, where `err` is a MultiError
+ *      if more than one image failed.
+ */
+CLI.prototype._importImages = function _importImages(images, source, options,
+        callback) {
+    var self = this;
+    var stateFromUuid = {};
+    images.forEach(function (image) {
+        stateFromUuid[image.uuid] = 'pending';
+    });
+    var numRunning = 0;
+    var numImported = 0;
+    var errs = [];
+
+    function importImage(image) {
+        stateFromUuid[image.uuid] = 'running';
+        numRunning++;
+        self.client.adminImportRemoteImageAndWait(image.uuid, source,
+                {skipOwnerCheck: options.skipOwnerCheck},
+                function (err, imported, res) {
+            self.log.trace({err: err, image: imported, client_res: res},
+                'ImportImage');
+            numRunning--;
+            if (err) {
+                stateFromUuid[image.uuid] = 'failed';
+                err = self._errorFromClientError(err);
+                console.error('Error importing image %s (%s, %s): %s',
+                    image.uuid, image.name, image.version, err.message);
+                errs.push(err);
+            } else {
+                stateFromUuid[image.uuid] = 'imported';
+                numImported++;
+                console.log('Imported image %s (%s, %s, state=%s)',
+                    imported.uuid, imported.name, imported.version,
+                    imported.state);
+            }
+            startImports();
+        });
+    }
+
+    function startImports() {
+        for (var i = 0; i < images.length; i++) {
+            var image = images[i];
+            var originState = stateFromUuid[image.origin];
+            if (stateFromUuid[image.uuid] !== 'pending') {
+                continue;
+            } else if (originState === 'failed') {
+                stateFromUuid[image.uuid] = 'failed';
+                errs.push(new errors.ImportError(format(
+                    'not importing image %s (%s, %s): importing its origin ' +
+                    'image %s failed', image.uuid, image.name, image.version,
+                    image.origin)));
+            } else if (numRunning < options.concurrency &&
+                originState !== 'pending' && originState !== 'running')
+            {
+                importImage(image);
+            }
+        }
+        if (numRunning > 0) {
+            return;
+        }
+
+        console.log('Imported %d of %d image%s', numImported, images.length,
+            (images.length === 1 ? '' : 's'));
+        if (errs.length === 1) {
+            callback(errs[0]);
+        } else if (errs.length > 1) {
+            callback(new errors.MultiError(errs));
+        } else {
+            callback();
+        }
+    }
+
+    startImports();
+};
+
+
+/**
+ * Download an image file to a local path.
+ *
+ * The file is written to "OUTPUTPATH.part" and renamed to `outputPath` after
+ * its SHA-1 is verified against the manifest. An existing ".part" file from
+ * an interrupted download is resumed with a Range request. The ".part" file
+ * is kept if the download is interrupted, and removed if verification fails.
+ * An interrupted download is resumed right away if `--retries` allows.
+ *
+ * @param image {Object} The image manifest.
+ * @param outputPath {String}
+ * @param options {Object}
+ *      - quiet {Boolean} Optional. Disable the progress bar.
+ *      - limitRate {Number} Optional. Bytes per second to limit the download
+ *        to.
+ *      - silent {Boolean} Optional. Don't print "Saved ..." when done.
+ *      - partPath {String} Optional. A partial download file to use instead
+ *        of "OUTPUTPATH.part". It is not resumed by a later run, so the
+ *        caller should remove it if the download fails.
+ * @param callback {Function} `function (err)`
+ */
+CLI.prototype._downloadImageFile = function _downloadImageFile(image,
+        outputPath, options, callback) {
+    var self = this;
+    var file = image.files[0];
+    var partPath = options.partPath || outputPath + '.part';
+    var hash = crypto.createHash('sha1');
+    var size = 0;
+    var md5Expected = null;
+    var md5Hash = null;
+    var bar = null;
+    var attempt = 0;
+
+    /*
+     * `retryable` is true if `err` interrupted reading the download, in which
+     * case it is resumed if retries (see `--retries`) remain.
+     */
+    function verifyAndRename(err, retryable) {
+        if (bar) {
+            bar.end();
+        }
+        if (err && retryable && attempt < self._retries) {
+            var delay = retry.retryDelay(attempt);
+            attempt++;
+            self.log.info({err: err, partPath: partPath, attempt: attempt,
+                delay: delay}, 'retrying interrupted download');
+            return setTimeout(resume, delay);
+        } else if (err && options.partPath) {
+            return callback(new errors.DownloadError(err, format(
+                'download of image %s file interrupted: %s', image.uuid,
+                err.message)));
+        } else if (err) {
+            return callback(new errors.DownloadError(err, format(
+                'download of image %s file interrupted (run again to ' +
+                'resume from "%s"): %s', image.uuid, partPath, err.message)));
+        }
+
+        err = fileMismatchError(image, {sha1: hash.digest('hex'), size: size});
+        if (!err && md5Hash && md5Expected) {
+            var md5Actual = md5Hash.digest('base64');
+            if (md5Actual !== md5Expected) {
+                err = new errors.DownloadError(format(
+                    'Content-MD5 expected to be %s, but was %s',
+                    md5Expected, md5Actual));
+            }
+        }
+        if (err) {
+            fs.unlink(partPath, function (unlinkErr) {
+                if (unlinkErr) {
+                    self.log.warn({err: unlinkErr, partPath: partPath},
+                        'could not remove partial download');
+                }
+                callback(err);
+            });
+            return;
+        }
+        fs.rename(partPath, outputPath, function (renameErr) {
+            if (!renameErr && !options.silent) {
+                console.error('Saved "%s".', outputPath);
+            }
+            callback(renameErr);
+        });
+    }
+
+    function download(offset) {
+        size = offset;
+        if (offset >= file.size) {
+            // Already fully downloaded, e.g. interrupted before the rename.
+            return verifyAndRename();
+        }
+
+        var getOpts = {};
+        if (offset > 0) {
+            getOpts.headers = {range: format('bytes=%d-', offset)};
+        }
+        self.client.getImageFileStream(image.uuid, undefined, getOpts,
+                function (err, stream) {
+            self.log.trace({err: err, client_res: stream, offset: offset},
+                'GetImageFileStream');
+            if (err) {
+                return callback(self._errorFromClientError(err));
+            }
+
+            var flags = 'a';
+            if (stream.statusCode !== 206) {
+                // The whole file, e.g. the server doesn't support ranges.
+                offset = size = 0;
+                flags = 'w';
+                hash = crypto.createHash('sha1');
+                md5Expected = stream.headers['content-md5'];
+                md5Hash = crypto.createHash('md5');
+            }
+            if (!options.quiet && process.stderr.isTTY) {
+                bar = new ProgressBar({
+                    size: file.size,
+                    filename: image.uuid
+                });
+                bar.advance(offset);
+            }
+            var throttled = throttle(stream, options.limitRate);
+            stream.on('data', function (chunk) {
+                size += chunk.length;
+                hash.update(chunk);
+                if (md5Hash)
+                    md5Hash.update(chunk);
+            });
+            throttled.on('data', function (chunk) {
+                if (bar)
+                    bar.advance(chunk.length);
+            });
+
+            var finished = false;
+            function finish(finishErr, retryable) {
+                if (finished)
+                    return;
+                finished = true;
+                var contentLength = Number(stream.headers['content-length']);
+                if (!finishErr && size < offset + contentLength) {
+                    finishErr = new Error(format(
+                        'connection closed after %d of %d bytes',
+                        size, offset + contentLength));
+                    retryable = true;
+                }
+                verifyAndRename(finishErr, retryable);
+            }
+            var outStream = throttled.pipe(
+                fs.createWriteStream(partPath, {flags: flags}));
+            outStream.on(writeStreamFinishEvent, function () {
+                finish();
+            });
+            outStream.on('error', finish);
+            throttled.on('error', function (streamErr) {
+                finish(streamErr, true);
+            });
+            stream.resume();
+        });
+    }
+
+    // Hash the data of a previous partial download, if any, to resume it.
+    function resume() {
+        hash = crypto.createHash('sha1');
+        md5Expected = md5Hash = bar = null;
+        fs.stat(partPath, function (statErr, stats) {
+            if (statErr && statErr.code !== 'ENOENT') {
+                return callback(statErr);
+            } else if (statErr || stats.size === 0) {
+                return download(0);
+            }
+            var partStream = fs.createReadStream(partPath);
+            partStream.on('data', function (chunk) {
+                hash.update(chunk);
+            });
+            partStream.on('error', callback);
+            partStream.on('end', function () {
+                self.log.debug({partPath: partPath, offset: stats.size},
+                    'resuming download');
+                download(stats.size);
+            });
+        });
+    }
+
+    resume();
+};
+
+
+/**
+ * Get the given image's file into the cache (see `--cache-dir`), downloading
+ * it if it isn't already there.
+ *
+ * Several processes may download the same image file at the same time (e.g.
+ * jobs on one build host), so each downloads to its own ".part.PID.RANDOM"
+ * file, which is renamed into place once verified.
+ *
+ * @param image {Object} The image manifest.
+ * @param options {Object} As for `_downloadImageFile`.
+ * @param callback {Function} `function (err, entryPath)`
+ */
+CLI.prototype._cacheImageFile = function _cacheImageFile(image, options,
+        callback) {
+    var self = this;
+    self.cache.get(image, function (err, entryPath) {
+        if (err) {
+            return callback(err);
+        } else if (entryPath) {
+            self.log.debug({entryPath: entryPath}, 'image file cache hit');
+            return callback(null, entryPath);
+        }
+
+        entryPath = self.cache.entryPath(image);
+        self.log.debug({entryPath: entryPath}, 'image file cache miss');
+        self.cache.prepare(function (prepareErr) {
+            if (prepareErr) {
+                return callback(prepareErr);
+            }
+            var downloadOpts = objCopy(options);
+            downloadOpts.silent = true;
+            downloadOpts.partPath = format('%s.part.%d.%s', entryPath,
+                process.pid, crypto.randomBytes(4).toString('hex'));
+            self._downloadImageFile(image, entryPath, downloadOpts,
+                function (downloadErr) {
+                    if (!downloadErr) {
+                        return callback(null, entryPath);
+                    }
+                    fs.unlink(downloadOpts.partPath, function () {
+                        callback(downloadErr);
+                    });
+                });
+        });
+    });
+};
+
+
+/**
+ * Get the origin images of the given images, and their origins in turn, that
+ * are not already in `imageFromUuid`. Fetched images are added to
+ * `imageFromUuid`; origins that don't exist are added as null.
+ *
+ * @param client {IMGAPI} The IMGAPI client to use, typically `this.client`.
+ * @param images {Array}
+ * @param imageFromUuid {Object} A mapping of UUID to image.
+ * @param callback {Function} `function (err)`
+ */
+CLI.prototype._getOriginImages = function _getOriginImages(client, images,
+        imageFromUuid, callback) {
+    var self = this;
+    var uuids = [];
+    images.forEach(function (img) {
+        if (img.origin && imageFromUuid[img.origin] === undefined &&
+            uuids.indexOf(img.origin) === -1)
+        {
+            uuids.push(img.origin);
+        }
+    });
+    if (uuids.length === 0) {
+        return callback();
+    }
+
+    var fetched = [];
+    var errs = [];
+    vasync.forEachParallel({
+        inputs: uuids,
+        func: function getOriginImage(uuid, next) {
+            client.getImage(uuid, function (err, image, res) {
+                self.log.trace({err: err, client_res: res}, 'GetImage');
+                if (err && err.body && err.body.code === 'ResourceNotFound') {
+                    imageFromUuid[uuid] = null;
+                } else if (err) {
+                    errs.push(self._errorFromClientError(err));
+                } else {
+                    imageFromUuid[uuid] = image;
+                    fetched.push(image);
+                }
+                next();
+            });
+        }
+    }, function finish(err) {
+        if (err) {
+            callback(err);
+        } else if (errs.length === 1) {
+            callback(errs[0]);
+        } else if (errs.length > 1) {
+            callback(new errors.MultiError(errs));
+        } else {
+            self._getOriginImages(client, fetched, imageFromUuid, callback);
+        }
+    });
+};
+
+
+CLI.prototype.do_ping = function do_ping(subcmd, opts, args, callback) {
+    var self = this;
+    if (args.length) {
+        return callback(new errors.UsageError(
+            'unexpected args: ' + args.join(' ')));
+    }
+    this.client.ping(function (err, pong, res) {
+        self.log.trace({err: err, client_res: res}, 'Ping');
+        if (err) {
+            return callback(self._errorFromClientError(err));
+        }
+        console.log(JSON.stringify(pong, null, 2));
+        callback();
+    });
+};
+CLI.prototype.do_ping.description = 'Ping the IMGAPI to see if it is up.';
+
+
+CLI.prototype.do_state = function do_state(subcmd, opts, args, callback) {
+    var self = this;
+    if (args.length) {
+        return callback(new errors.UsageError(
+            'unexpected args: ' + args.join(' ')));
+    }
+    this.client.adminGetState(function (err, state, res) {
+        self.log.trace({err: err, client_res: res}, 'AdminGetState');
+        if (err) {
+            return callback(self._errorFromClientError(err));
+        }
+        console.log(JSON.stringify(state, null, 2));
+        callback();
+    });
+};
+CLI.prototype.do_state.hidden = true;
+CLI.prototype.do_state.description = (
+    'Dump some IMGAPI internal state (for debugging).\n' +
+    '\n' +
+    'Usage:\n' +
+    '    $NAME state\n'
+);
+
+
+CLI.prototype.do_reload_auth_keys = function do_reload_auth_keys(
+        subcmd, opts, args, callback) {
+    var self = this;
+    if (args.length) {
+        return callback(new errors.UsageError(
+            'unexpected args: ' + args.join(' ')));
+    }
+    this.client.adminReloadAuthKeys(function (err, state, res) {
+        self.log.trace({err: err, client_res: res}, 'AdminReloadAuthKeys');
+        if (err) {
+            callback(self._errorFromClientError(err));
+        } else {
+            callback();
+        }
+    });
+};
+CLI.prototype.do_reload_auth_keys.description = (
+    'Request that the server reload auth keys.\n' +
+    '\n' +
+    'This is for use by administrators of the IMGAPI server, and is only\n' +
+    'relevant for servers that use HTTP Signature auth.\n' +
+    '\n' +
+    'Usage:\n' +
+    '    $NAME reload-auth-keys\n'
+);
+
+
+CLI.prototype.do_list = function do_list(subcmd, opts, args, callback) {
+    var self = this;
+    var listFilters = {};
+    var listOpts = {};
+
+    if (opts.all) {
+        listFilters.state = 'all';
+    }
+    if (opts.marker) {
+        assert.string(opts.marker);
+        listFilters.marker = opts.marker;
+    }
+
+    // "--since" and "--until" bound "published_at". They take a date or a
+    // duration ago, e.g. "7d".
+    var now = Date.now();
+    var bounds = {};
+    var boundNames = ['since', 'until'];
+    for (var b = 0; b < boundNames.length; b++) {
+        var name = boundNames[b];
+        if (opts[name] === undefined) {
+            continue;
+        }
+        var time = timeFromArg(opts[name], now);
+        if (isNaN(time)) {
+            return callback(new errors.UsageError(format(
+                'invalid "--%s" date or duration: "%s"', name, opts[name])));
+        }
+        // A date-only "--until" (e.g. "2025-01-01") includes that whole day.
+        if (name === 'until' && /^\d{4}-\d{2}-\d{2}$/.test(opts[name])) {
+            time += 24 * 60 * 60 * 1000 - 1;
+        }
+        bounds[name] = time;
+    }
+    if (bounds.since !== undefined) {
+        if (opts.marker) {
+            return callback(new errors.UsageError(
+                'cannot use both "--marker" and "--since"'));
+        }
+        // The marker is an inclusive lower bound on "published_at", so the
+        // server skips older images.
+        listFilters.marker = new Date(bounds.since).toISOString();
+    }
+    if (opts.limit) {
+        listFilters.limit = opts.limit;
+    }
+    if (opts.inclAdminFields) {
+        listOpts.inclAdminFields = opts.inclAdminFields;
+    }
+    if (opts.max && !opts.paginate) {
+        return callback(new errors.UsageError(
+            'cannot use "--max" without "--paginate"'));
+    }
+    if (!opts.tree && (opts['tree-root'] || opts['tree-depth'] !== undefined ||
+        opts['tree-style']))
+    {
+        return callback(new errors.UsageError(
+            'cannot use "--tree-*" options without "--tree"'));
+    }
+    if (opts['tree-root'] && !UUID_RE.test(opts['tree-root'])) {
+        return callback(new errors.InvalidUUIDError(opts['tree-root']));
+    }
+    if (opts['tree-style'] && !TREE_STYLES[opts['tree-style']]) {
+        return callback(new errors.UsageError(format(
+            'invalid tree style "%s": must be one of %s', opts['tree-style'],
+            Object.keys(TREE_STYLES).join(', '))));
+    }
+
+    var outputFormat;
+    var filter;
+    try {
+        outputFormat = outputFormatFromOpts(opts);
+        filter = filters.parseFilterArgs(args);
+    } catch (parseErr) {
+        return callback(parseErr);
+    }
+    Object.keys(filter.serverFilters).forEach(function (name) {
+        listFilters[name] = filter.serverFilters[name];
+    });
+
+    var groupBy = null;
+    if (opts['group-by']) {
+        if (opts.tree) {
+            return callback(new errors.UsageError(
+                'cannot use "--group-by" with "--tree"'));
+        }
+        /* JSSTYLED */
+        groupBy = opts['group-by'].split(/,/g);
+    }
+
+    var sortFields = (opts.sort ||
+        /*JSSTYLED*/
+        (groupBy ? opts['group-by'] : 'published_at,name')).split(/,/g);
+    var columns = opts.output;
+    if (!columns) {
+        if (groupBy) {
+            columns = groupBy.concat(GROUP_FIELDS).join(',');
+        } else if (listFilters.state) {
+            columns = 'uuid,name,version,flags,os,state,published';
+        } else {
+            columns = 'uuid,name,version,flags,os,published';
+        }
+    }
+    /* JSSTYLED */
+    columns = columns.split(/,/g);
+    var validFields = ('uuid,owner,name,version,state,disabled,' +
+        'public,published,published_at,published_date,type,' +
+        'os,urn,nic_driver,disk_driver,cpu_type,image_size,' +
+        'generate_passwords,description,origin,flags,size,' +
+        'stor,homepage,channels,acl,tags,requirements,users,' +
+        'billing_tags,traits,files,icon,inherited_directories,' +
+        /*JSSTYLED*/
+        'age,depth,chain_size,channels_count').split(/,/g);
+
+    // The image fields to get: the group fields with "--group-by", otherwise
+    // the columns and sort fields.
+    var imageFields = (groupBy || columns.concat(sortFields)).map(
+        function (field) {
+            return (field[0] === '-' ? field.slice(1) : field);
+        });
+
+    // Any dotted path into the manifest, e.g. "tags.role", may also be used
+    // as a field.
+    var dottedFields = [];
+    imageFields.forEach(function (field) {
+        if (field.indexOf('.') !== -1 && validFields.indexOf(field) === -1 &&
+            dottedFields.indexOf(field) === -1)
+        {
+            dottedFields.push(field);
+        }
+    });
+    validFields = validFields.concat(dottedFields);
+    if (groupBy) {
+        for (var g = 0; g < groupBy.length; g++) {
+            if (validFields.indexOf(groupBy[g]) === -1) {
+                return callback(new errors.UsageError(format(
+                    'invalid group-by field: "%s"', groupBy[g])));
+            }
+        }
+        validFields = groupBy.concat(GROUP_FIELDS);
+    }
+    for (var c = 0; c < columns.length; c++) {
+        if (validFields.indexOf(columns[c]) === -1) {
+            return callback(new errors.UsageError(format(
+                'invalid output field: "%s"', columns[c])));
+        }
+    }
+
+    // The "age" column sorts by "published_at", newest first.
+    var rowSortFields = sortFields.map(function (field) {
+        return {'age': '-published_at', '-age': 'published_at'}[field] ||
+            field;
+    });
+
+    // "depth" and "chain_size" need each image's full origin chain.
+    var needOrigins = (imageFields.indexOf('depth') !== -1 ||
+        imageFields.indexOf('chain_size') !== -1);
+    var imageFromUuid = {};
+
+    function isPastUntil(image) {
+        return Date.parse(image.published_at) > bounds.until;
+    }
+
+    function filterImages(images) {
+        var bounded = (bounds.since !== undefined ||
+            bounds.until !== undefined);
+        if (!filter.clientTerms && !bounded) {
+            return images;
+        }
+        return images.filter(function (image) {
+            if (bounded) {
+                var published = Date.parse(image.published_at);
+                if (isNaN(published) || published < bounds.since ||
+                    isPastUntil(image))
+                {
+                    return false;
+                }
+            }
+            return filters.matchImage(filter, image);
+        });
+    }
+
+    /*
+     * Get the given images and (if necessary) their origins into
+     * `imageFromUuid`.
+     */
+    function getImagesAndOrigins(images, next) {
+        images.forEach(function (img) {
+            imageFromUuid[img.uuid] = img;
+        });
+        if (!needOrigins) {
+            return next();
+        }
+        self._getOriginImages(self.client, images, imageFromUuid, next);
+    }
+
+    /*
+     * Return the array of the image and its ancestors, or null if an
+     * ancestor is missing.
+     */
+    function originChain(img) {
+        var chain = [img];
+        while (img.origin) {
+            img = imageFromUuid[img.origin];
+            if (!img || chain.indexOf(img) !== -1) {
+                return null;
+            }
+            chain.push(img);
+        }
+        return chain;
+    }
+
+    /*
+     * Return a row for table output: a copy of the image with the synthetic
+     * fields (e.g. "flags") and dotted path fields added.
+     */
+    function imageRow(img) {
+        var row = objCopy(img);
+        if (img.published_at) {
+            // Just the date.
+            row.published_date = img.published_at.slice(0, 10);
+            // Normalize on no milliseconds.
+            row.published = img.published_at.replace(/\.\d+Z$/, 'Z');
+            row.age = common.longAgo(new Date(img.published_at), now);
+        }
+        if (img.files && img.files[0]) {
+            row.size = img.files[0].size;
+            row.stor = img.files[0].stor;
+        }
+        var flags = [];
+        if (img.origin) flags.push('I');
+        if (img['public']) flags.push('P');
+        if (img.state !== 'active') flags.push('X');
+        row.flags = flags.length ? flags.join('') : undefined;
+        row.channels_count = (img.channels ? img.channels.length : 0);
+        if (img.channels) {
+            row.channels = img.channels.join(',');
+        }
+        if (needOrigins) {
+            var chain = originChain(img);
+            if (chain) {
+                row.depth = chain.length - 1;
+                row.chain_size = chain.reduce(function (sum, i) {
+                    return sum + ((i.files && i.files[0]) ?
+                        i.files[0].size : 0);
+                }, 0);
+            }
+        }
+        dottedFields.forEach(function (field) {
+            row[field] = common.lookupPath(img, field);
+        });
+        return row;
+    }
+
+    /*
+     * Return the "--group-by" summary rows for the given image rows. An
+     * image is counted in each group of an array field, e.g. in each of its
+     * channels.
+     */
+    function groupRows(rows) {
+        var groupFromKey = {};
+        var groups = [];
+        rows.forEach(function (row) {
+            var img = imageFromUuid[row.uuid];
+            var groupValues = [ [] ];
+            groupBy.forEach(function (field) {
+                var value = common.lookupPath(img, field);
+                if (value === undefined) {
+                    // A synthetic field, e.g. "stor" or "age".
+                    value = row[field];
+                }
+                var values = (Array.isArray(value) ? value : [value]);
+                if (values.length === 0) {
+                    values = [undefined];
+                }
+                var product = [];
+                groupValues.forEach(function (vals) {
+                    values.forEach(function (v) {
+                        product.push(vals.concat([v]));
+                    });
+                });
+                groupValues = product;
+            });
+
+            var size = (img.files && img.files[0] ? img.files[0].size : 0);
+            groupValues.forEach(function (vals) {
+                var key = JSON.stringify(vals);
+                var group = groupFromKey[key];
+                if (!group) {
+                    group = groupFromKey[key] = {};
+                    groupBy.forEach(function (field, i) {
+                        group[field] = vals[i];
+                    });
+                    group.count = 0;
+                    group.total_size = 0;
+                    group.max_size = 0;
+                    groups.push(group);
+                }
+                group.count++;
+                group.total_size += size;
+                group.max_size = Math.max(group.max_size, size);
+                if (img.published_at && (!group.newest ||
+                    img.published_at > group.newest))
+                {
+                    group.newest = img.published_at;
+                }
+            });
+        });
+        return groups;
+    }
+
+    function printRows(rows, skipHeader, tableColumns) {
+        if (outputFormat === 'table') {
+            tabula(rows, {
+                skipHeader: skipHeader,
+                columns: tableColumns || columns,
+                validFields: validFields
+            });
+        } else {
+            common.printDelimited(rows, {
+                format: outputFormat,
+                columns: columns,
+                skipHeader: skipHeader
+            });
         }
+    }
 
-        /*JSSTYLED*/
-        var sortFields = (opts.sort || 'published_at,name').split(/,/g);
-        tabula.sortArrayOfObjects(images, sortFields);
+    function printImages(images, next) {
+        if (opts.latest) {
+            var groups = imagesFromOwnerName(images);
+            images = Object.keys(groups).map(
+                function (oN) { return groups[oN][0]; });
+        }
 
-        if (opts.json) {
-            console.log(JSON.stringify(images, null, 2));
-        } else {
-            var columns = opts.output;
-            if (!columns) {
-                if (filters.state) {
-                    columns = 'uuid,name,version,flags,os,state,published';
-                } else {
-                    columns = 'uuid,name,version,flags,os,published';
-                }
+        getImagesAndOrigins(images, function (err) {
+            if (err) {
+                return next(err);
             }
-            /* JSSTYLED */
-            columns = columns.split(/,/g);
 
-            // Group in a tree view by "origin".
-            // Faux image entries are add for missing origin images.
-            // Limitations: This doesn't support sorting by sortFields at
-            // each generation.
-            if (opts.tree) {
-                var firstCol = columns[0];
-                var img;
-                var imageFromUuid = {};
-                var remainingImgs = [];
-
-                // First pass: enable image lookup by UUID.
-                for (i = 0; i < images.length; i++) {
-                    img = images[i];
-                    imageFromUuid[img.uuid] = img;
-                }
+            var rows = images.map(imageRow);
+            if (groupBy) {
+                rows = groupRows(rows);
+            }
+            tabula.sortArrayOfObjects(rows, rowSortFields);
+
+            // JSON output is of the image manifests (or the groups).
+            var objs = (groupBy ? rows : rows.map(function (row) {
+                return imageFromUuid[row.uuid];
+            }));
+            if (outputFormat === 'json') {
+                console.log(JSON.stringify(objs, null, 2));
+                return next();
+            } else if (outputFormat === 'ndjson') {
+                objs.forEach(function (obj) {
+                    console.log(JSON.stringify(obj));
+                });
+                return next();
+            }
 
-                // Second pass: initialize a `_treeStack` for each image.
-                //
-                // The complete `_treeStack` is an ancestry array of image UUIDs
-                // indicating an image's position in the origin hierarchy, e.g.:
-                //
-                //  imageA._treeStack = [
-                //      <image A's top-level non-incremental image UUID>,
-                //      <image A's grandparent image UUID>,
-                //      <image A's parent image UUID>
-                //  ]
-                for (i = 0; i < images.length; i++) {
-                    img = images[i];
-                    if (img.origin) {
-                        img._treeStack = [img.origin];
-                        remainingImgs.push(img);
-                        if (!imageFromUuid[img.origin]) {
-                            // Add faux entry for missing origins.
-                            var faux = imageFromUuid[img.origin] = {
-                                uuid: img.origin,
-                                _treeStack: [img.origin]
-                            };
-                            columns.forEach(function onCol(col) {
-                                if (!faux[col]) {
-                                    faux[col] = '???';
-                                }
-                            });
-                            images.push(faux);
-                        }
-                    } else {
-                        img._treeStack = [img.uuid];
-                    }
+            if (opts.tree) {
+                rows = treeImages(rows, {
+                    columns: columns,
+                    sortFields: rowSortFields,
+                    root: opts['tree-root'],
+                    depth: opts['tree-depth'],
+                    style: opts['tree-style']
+                });
+                if (!rows) {
+                    return next(new errors.UsageError(format(
+                        'tree root image %s is not among the listed images',
+                        opts['tree-root'])));
                 }
+            }
+            printRows(rows, opts.skipHeader);
+            next();
+        });
+    }
 
-                // Third+ passes: Each pass works through another level of
-                // parentage until each image reaches its top-level
-                // non-incremental ancestor.
-                while (remainingImgs.length) {
-                    var stillRemainingImgs = [];
-                    for (i = 0; i < remainingImgs.length; i++) {
-                        img = remainingImgs[i];
-                        var originUuid = img._treeStack[0];
-                        var originImg = imageFromUuid[originUuid];
-                        if (originImg.origin) {
-                            img._treeStack.unshift(originImg.origin);
-                            stillRemainingImgs.push(img);
-                        } else {
-                            img._treeStack = imageFromUuid[originUuid].
-                                _treeStack.concat(img._treeStack);
-                        }
-                    }
-                    remainingImgs = stillRemainingImgs;
-                }
+    if (!opts.paginate) {
+        this.client.listImages(listFilters, listOpts,
+                function (err, images, res) {
+            self.log.trace({err: err, client_res: res}, 'ListImages');
+            if (err) {
+                return callback(self._errorFromClientError(err));
+            }
+            printImages(filterImages(images), callback);
+        });
+        return;
+    }
 
-                // Sort by the treeStack.
-                tabula.sortArrayOfObjects(images, ['_treeStack']);
+    /*
+     * With "--paginate" we print each page of images as it arrives, unless
+     * the output options need the full set of images first.
+     */
+    var streaming = !(opts.latest || opts.tree || opts.sort || groupBy);
+    var collected = [];
+    var numListed = 0;
+    var numPrinted = 0;
+    var tableColumns = null;
+
+    function printPage(images, next) {
+        if (images.length === 0) {
+            return next();
+        }
+        getImagesAndOrigins(images, function (err) {
+            if (err) {
+                return next(err);
+            }
 
-                // Add tree-depth prefix to the first column values.
-                for (i = 0; i < images.length; i++) {
-                    img = images[i];
-                    var treeStack = img._treeStack;
-                    if (treeStack.length === 1) {
-                        continue;
-                    }
-                    var prefix = '';
-                    for (var n = 0; n < treeStack.length - 2; n++) {
-                        prefix += '    ';
-                    }
-                    var last = (
-                        i + 1 === images.length ||
-                            images[i+1]._treeStack.toString() !==
-                                treeStack.toString()
-                    );
-                    if (!last) {
-                        prefix += ' |- ';
-                    } else {
-                        prefix += ' `- ';
-                    }
-                    img[firstCol] = prefix + img[firstCol];
-                }
+            var rows = images.map(imageRow);
+            tabula.sortArrayOfObjects(rows, rowSortFields);
+            if (outputFormat === 'json') {
+                rows.forEach(function (row) {
+                    process.stdout.write((numPrinted === 0 ? '[\n' : ',\n') +
+                        JSON.stringify(imageFromUuid[row.uuid], null, 2)
+                            .replace(/^/gm, '  '));
+                    numPrinted++;
+                });
+                return next();
+            } else if (outputFormat === 'ndjson') {
+                rows.forEach(function (row) {
+                    console.log(JSON.stringify(imageFromUuid[row.uuid]));
+                });
+                numPrinted += rows.length;
+                return next();
             }
 
-            for (i = 0; i < images.length; i++) {
-                img = images[i];
-                if (img.published_at) {
-                    // Just the date.
-                    img.published_date = img.published_at.slice(0, 10);
-                    // Normalize on no milliseconds.
-                    img.published = img.published_at.replace(/\.\d+Z$/, 'Z');
-                }
-                if (img.files && img.files[0]) {
-                    img.size = img.files[0].size;
-                    img.stor = img.files[0].stor;
-                }
-                var flags = [];
-                if (img.origin) flags.push('I');
-                if (img['public']) flags.push('P');
-                if (img.state !== 'active') flags.push('X');
-                img.flags = flags.length ? flags.join('') : undefined;
-                if (img.channels) {
-                    img.channels = img.channels.join(',');
-                }
+            if (outputFormat === 'table' && !tableColumns) {
+                // Fix the column widths from the first page so that the rows
+                // of later pages line up.
+                tableColumns = columns.map(function (col) {
+                    var width = col.length;
+                    rows.forEach(function (row) {
+                        var cell = row[col];
+                        if (cell === null || cell === undefined) {
+                            cell = '-';
+                        } else if (typeof (cell) === 'object') {
+                            cell = JSON.stringify(cell);
+                        }
+                        width = Math.max(width, String(cell).length);
+                    });
+                    return {lookup: col, width: width};
+                });
             }
+            printRows(rows, opts.skipHeader || numPrinted > 0, tableColumns);
+            numPrinted += rows.length;
+            next();
+        });
+    }
 
-            tabula(images, {
-                skipHeader: opts.skipHeader,
-                columns: columns,
-                validFields: ('uuid,owner,name,version,state,disabled,' +
-                    'public,published,published_at,published_date,type,' +
-                    'os,urn,nic_driver,disk_driver,cpu_type,image_size,' +
-                    'generate_passwords,description,origin,flags,size,' +
-                    /*JSSTYLED*/
-                    'stor,homepage,channels').split(/,/g)
+    function endPages() {
+        if (outputFormat === 'json') {
+            console.log(numPrinted === 0 ? '[]' : '\n]');
+        } else if (outputFormat !== 'ndjson' && numPrinted === 0) {
+            printRows([], opts.skipHeader);
+        }
+    }
+
+    self._listImagesPaged(self.client, listFilters, listOpts,
+            function onPage(images, next) {
+        // Images are listed in "published_at" order, so there is no need
+        // for more pages after one reaching past "--until".
+        var pastUntil = (images.length > 0 &&
+            isPastUntil(images[images.length - 1]));
+
+        images = filterImages(images);
+        if (opts.max && numListed + images.length > opts.max) {
+            images = images.slice(0, opts.max - numListed);
+        }
+        numListed += images.length;
+        var stop = Boolean(pastUntil || (opts.max && numListed >= opts.max));
+        if (streaming) {
+            printPage(images, function (err) {
+                next(err, stop);
             });
+        } else {
+            collected = collected.concat(images);
+            next(null, stop);
+        }
+    }, function (err) {
+        if (err) {
+            return callback(err);
+        } else if (streaming) {
+            endPages();
+            callback();
+        } else {
+            printImages(collected, callback);
         }
-        callback();
     });
 };
 CLI.prototype.do_list.description = (
@@ -855,10 +2217,29 @@ CLI.prototype.do_list.description = (
     '    $NAME list [OPTIONS] [FILTERS]\n' +
     '\n' +
     'Filters:\n' +
-    '    FIELD=VALUE        Field equality filter. Supported fields: \n' +
-    '                       account, owner, state, name, os, and type.\n' +
-    '    FIELD=true|false   Field boolean filter. Supported fields: public.\n' +
-    '    FIELD=~SUBSTRING   Field substring filter. Supported fields: name\n' +
+    '    FIELD=VALUE        Field equality filter.\n' +
+    '    FIELD!=VALUE       Field inequality filter.\n' +
+    '    FIELD=~SUBSTRING   Field substring filter.\n' +
+    '    FIELD=~/REGEX/     Field regular expression filter. Append "i"\n' +
+    '                       for a case-insensitive match.\n' +
+    '    FIELD!~VALUE       Negated substring or regex filter.\n' +
+    '    FIELD>VALUE        Field comparison filter. Also ">=", "<", "<=".\n' +
+    '                       Dates (e.g. "published_at>2024-01-01") compare\n' +
+    '                       as dates, numbers numerically with an optional\n' +
+    '                       size suffix (e.g. "files.0.size>1G").\n' +
+    '    !FILTER            Negate a filter.\n' +
+    '\n' +
+    '    FIELD is a field of the image manifest or a dotted path into it,\n' +
+    '    e.g. "tags.role", "files.0.size" or "requirements.brand". Where\n' +
+    '    FIELD is an array (e.g. "acl"), "=" and "=~" match any element.\n' +
+    '    The special "account" filter field limits to images accessible to\n' +
+    '    the given account UUID.\n' +
+    '\n' +
+    '    Filters are ANDed together. Use "or" to separate groups of\n' +
+    '    filters, e.g. "os=smartos type=zone-dataset or os=linux". Filters\n' +
+    '    supported by the server are applied there when "or" is not used,\n' +
+    '    the rest are applied to the listed images. Note that "-l" applies\n' +
+    '    before client-side filters.\n' +
     '\n' +
     'Fields (most are self explanatory, some special ones are discussed):\n' +
     '    flags              This is a set of single letter flags\n' +
@@ -871,105 +2252,500 @@ CLI.prototype.do_list.description = (
     '    size               The number of bytes of the image file (files.0.size)\n' +
     '    stor               The backend storage for this image\'s files. This\n' +
     '                       requires "-A".\n' +
+    '    age                Time since "published_at", e.g. "3d" or "2w".\n' +
+    '                       Sorting on "age" sorts by "published_at",\n' +
+    '                       newest first.\n' +
+    '    depth              The number of origin images of an incremental\n' +
+    '                       image (0 for a non-incremental image).\n' +
+    '    chain_size         The total file size of the image and all of its\n' +
+    '                       origin images.\n' +
+    '    channels_count     The number of channels the image is in.\n' +
+    '    FIELD.PATH         A dotted path into the manifest, e.g.\n' +
+    '                       "tags.role", "files.0.sha1" or\n' +
+    '                       "requirements.min_platform".\n' +
+    '\n' +
+    'Filtering Options:\n' +
+    '    -a, --all          List all images, not just "active" ones. This\n' +
+    '                       is a shortcut for the "state=all" filter.\n' +
+    '    -m, --marker ARG   Only list images that with "published_at" greater\n' +
+    '                       than or equal to that of the given image *UUID*\n' +
+    '                       or given *date string*.\n' +
+    '    --since TIME       Only list images published at or after TIME:\n' +
+    '                       a date (e.g. "2025-01-01") or a duration ago\n' +
+    '                       (e.g. "7d"; units are s, m, h, d, w and y).\n' +
+    '    --until TIME       Only list images published at or before TIME.\n' +
+    '                       A date without a time includes that whole day\n' +
+    '                       (UTC). With "--paginate", listing stops at the\n' +
+    '                       first page past TIME.\n' +
+    '    -l, --limit NUM    Maximum number of images to return. Images are\n' +
+    '                       sorted by creation date (ASC) by default.\n' +
+    '    --paginate         List all images by following the marker across\n' +
+    '                       as many requests as needed. Images are printed\n' +
+    '                       as each page arrives, unless "-s", "--latest",\n' +
+    '                       "--tree" or "--group-by" is used. With this\n' +
+    '                       option "-l" sets the number of images per\n' +
+    '                       request.\n' +
+    '    --max NUM          With "--paginate", stop after NUM images.\n' +
+    // TODO: add --incl-admin-fields when using dashdash for opts
+    '    -A                 Allow administrator fields to be returned. This\n' +
+    '                       may require auth.\n' +
+    '\n' +
+    'Output Options:\n' +
+    '    -j, --json         JSON output\n' +
+    '    --format FORMAT    Output format: table (the default), json,\n' +
+    '                       ndjson (one JSON manifest per line), csv or\n' +
+    '                       tsv. "-o" and "-H" apply to csv and tsv.\n' +
+    '    -H                 Do not print table header row\n' +
+    '    -o field1,...      Specify fields (columns) to output.\n' +
+    '    -s field1,...      Sort on the given fields. Default is\n' +
+    '                       "published_at,name".\n' +
+    '    --latest           Only show the latest image, by published_at,\n' +
+    '                       for a given (owner, name) set\n' +
+    '    --tree             Show tree view organized by image "origin". Note:\n' +
+    '                       This may add placeholder entries for origin images\n' +
+    '                       that are not already an included image. Images\n' +
+    '                       of each generation are sorted per "-s".\n' +
+    '    --tree-root UUID   With "--tree", only show the given image and\n' +
+    '                       its descendants.\n' +
+    '    --tree-depth NUM   With "--tree", only show NUM generations of\n' +
+    '                       descendants.\n' +
+    '    --tree-style STYLE With "--tree", draw the tree with "ascii" (the\n' +
+    '                       default) or "unicode" box-drawing characters.\n' +
+    '    --group-by FIELD,...\n' +
+    '                       Summarize the listed images per distinct value\n' +
+    '                       of the given fields (e.g. "os", "owner", "stor"\n' +
+    '                       or "channels"), with the "count", "total_size",\n' +
+    '                       "max_size" (of "files.0.size") and "newest" (by\n' +
+    '                       "published_at") of each group. "-o" and "-s"\n' +
+    '                       then apply to the groups.'
+    /* END JSSTYLED */
+);
+CLI.prototype.do_list.longOpts = {
+    'json': Boolean,
+    'format': String,
+    'skipHeader': Boolean,
+    'output': String,
+    'sort': String,
+    'all': Boolean,
+    'latest': Boolean,
+    'marker': String,
+    'since': String,
+    'until': String,
+    'limit': Number,
+    'paginate': Boolean,
+    'max': Number,
+    'inclAdminFields': Boolean,
+    'tree': Boolean,
+    'tree-root': String,
+    'tree-depth': Number,
+    'tree-style': String,
+    'group-by': String
+};
+CLI.prototype.do_list.shortOpts = {
+    'j': ['--json'],
+    'H': ['--skipHeader'],
+    'o': ['--output'],
+    's': ['--sort'],
+    'a': ['--all'],
+    'm': ['--marker'],
+    'l': ['--limit'],
+    'A': ['--inclAdminFields']
+};
+
+
+CLI.prototype.do_get = function do_get(subcmd, opts, args, callback) {
+    var self = this;
+    if (args.length !== 1) {
+        return callback(new errors.UsageError(format(
+            'incorrect number of args (%d): %s', args.length, args.join(' '))));
+    }
+    var uuid = args[0];
+    assert.uuid(uuid, 'uuid');
+
+    var getOpts = {};
+    if (opts.inclAdminFields) {
+        getOpts.inclAdminFields = opts.inclAdminFields;
+    }
+
+    this.client.getImage(uuid, getOpts, function (err, image, res) {
+        self.log.trace({err: err, client_res: res}, 'GetImage');
+        if (err) {
+            return callback(self._errorFromClientError(err));
+        }
+        console.log(JSON.stringify(image, null, 2));
+        callback();
+    });
+};
+CLI.prototype.do_get.description = (
+    'Get an image manifest.\n' +
+    '\n' +
+    'Usage:\n' +
+    '    $NAME get [OPTIONS] UUID\n' +
+    '\n' +
+    'Options\n' +
+    '    -h, --help         Show this help and exit.\n' +
+    // TODO: add --incl-admin-fields when using dashdash for opts
+    '    -A                 Allow administrator fields to be returned. This\n' +
+    '                       may require auth.\n' +
+    '\n' +
+    'If the IMGAPI server supports channels, then by default only the\n' +
+    'current set channel (or the server\'s default channel if not set)\n' +
+    'is searched. To look in all channels, use:\n' +
+    '\n' +
+    '    $NAME -C "*" get UUID'
+
+);
+CLI.prototype.do_get.aliases = ['show', 'info'];
+CLI.prototype.do_get.longOpts = {
+    'inclAdminFields': Boolean
+};
+CLI.prototype.do_get.shortOpts = {
+    'A': ['--inclAdminFields']
+};
+
+
+CLI.prototype.do_lineage = function do_lineage(subcmd, opts, args, callback) {
+    var self = this;
+    if (args.length !== 1) {
+        return callback(new errors.UsageError(format(
+            'incorrect number of args (%d): %s', args.length, args.join(' '))));
+    }
+    var uuid = args[0];
+    assert.uuid(uuid, 'uuid');
+
+    self.client.getImage(uuid, function (err, image, res) {
+        self.log.trace({err: err, client_res: res}, 'GetImage');
+        if (err) {
+            return callback(self._errorFromClientError(err));
+        }
+        var imageFromUuid = {};
+        imageFromUuid[uuid] = image;
+        self._getOriginImages(self.client, [image], imageFromUuid,
+                function (originsErr) {
+            if (originsErr) {
+                return callback(originsErr);
+            }
+
+            // The chain from the image back to its base image.
+            var chain = [];
+            var errs = [];
+            var seen = {};
+            var img = image;
+            var childUuid = null;
+            while (img) {
+                seen[img.uuid] = true;
+                var size = (img.files && img.files[0] ?
+                    img.files[0].size : undefined);
+                chain.push({
+                    uuid: img.uuid,
+                    name: img.name,
+                    version: img.version,
+                    state: img.state,
+                    size: size
+                });
+                if (childUuid && img.state !== 'active') {
+                    errs.push(new errors.OriginImageError(format(
+                        'origin image %s of image %s is not active ' +
+                        '(state=%s)', img.uuid, childUuid, img.state)));
+                }
+                if (!img.origin) {
+                    break;
+                } else if (seen[img.origin]) {
+                    return callback(new errors.OriginImageError(format(
+                        'origin chain of image %s is cyclic', uuid)));
+                }
+                childUuid = img.uuid;
+                var origin = imageFromUuid[img.origin];
+                if (!origin) {
+                    chain.push({uuid: img.origin, state: 'missing'});
+                    errs.push(new errors.OriginImageError(format(
+                        'origin image %s of image %s does not exist',
+                        img.origin, img.uuid)));
+                }
+                img = origin;
+            }
+
+            // The total size to download for each image: its file and those
+            // of its ancestors.
+            var totalSize = 0;
+            for (var i = chain.length - 1; i >= 0; i--) {
+                if (totalSize !== undefined && chain[i].size !== undefined) {
+                    totalSize += chain[i].size;
+                } else {
+                    totalSize = undefined;
+                }
+                chain[i].total_size = totalSize;
+            }
+
+            if (opts.json) {
+                console.log(JSON.stringify(chain, null, 2));
+            } else {
+                tabula(chain, {
+                    skipHeader: opts.skipHeader,
+                    columns: ['uuid', 'name', 'version', 'state', 'size',
+                        'total_size']
+                });
+            }
+            if (errs.length === 1) {
+                callback(errs[0]);
+            } else if (errs.length > 1) {
+                callback(new errors.MultiError(errs));
+            } else {
+                callback();
+            }
+        });
+    });
+};
+CLI.prototype.do_lineage.description = (
+    'Show the origin chain of an incremental image.\n' +
+    '\n' +
+    'The image and each of its ancestors, back to its non-incremental\n' +
+    'base image, are listed with their file "size" and "total_size": the\n' +
+    'size of the file and those of all its ancestors, i.e. what a compute\n' +
+    'node would download to use the image. It is an error if an ancestor\n' +
+    'does not exist or is not active.\n' +
+    '\n' +
+    'Usage:\n' +
+    '    $NAME lineage [OPTIONS] UUID\n' +
+    '\n' +
+    'Options:\n' +
+    '    -h, --help         Show this help and exit.\n' +
+    '    -j, --json         JSON output\n' +
+    '    -H                 Do not print table header row\n'
+);
+CLI.prototype.do_lineage.longOpts = {
+    'json': Boolean,
+    'skipHeader': Boolean
+};
+CLI.prototype.do_lineage.shortOpts = {
+    'j': ['--json'],
+    'H': ['--skipHeader']
+};
+
+
+CLI.prototype.do_diff = function do_diff(subcmd, opts, args, callback) {
+    var self = this;
+    if (args.length < 1 || args.length > 2 ||
+        (args.length === 1 && !opts['source-url']))
+    {
+        return callback(new errors.UsageError(format(
+            'incorrect number of args (%d): %s', args.length, args.join(' '))));
+    }
+    args.forEach(function (arg) {
+        assert.uuid(arg, 'uuid');
+    });
+
+    // The second image is from the "-S" IMGAPI, if given.
+    var sourceClient = null;
+    if (opts['source-url']) {
+        try {
+            sourceClient = self._createSourceClient(opts['source-url']);
+        } catch (urlErr) {
+            return callback(urlErr);
+        }
+    }
+    var sides = [
+        {uuid: args[0], client: self.client},
+        {uuid: args[1] || args[0], client: sourceClient || self.client}
+    ];
+
+    var getOpts = {};
+    if (opts.inclAdminFields) {
+        getOpts.inclAdminFields = opts.inclAdminFields;
+    }
+
+    var errs = [];
+    vasync.forEachParallel({
+        inputs: sides,
+        func: function getSideImage(side, next) {
+            side.client.getImage(side.uuid, getOpts,
+                    function (err, image, res) {
+                self.log.trace({err: err, client_res: res}, 'GetImage');
+                if (err) {
+                    errs.push(self._errorFromClientError(err));
+                } else {
+                    side.image = image;
+                }
+                next();
+            });
+        }
+    }, function finish(err) {
+        if (sourceClient) {
+            sourceClient.close();
+        }
+        if (err) {
+            return callback(err);
+        } else if (errs.length === 1) {
+            return callback(errs[0]);
+        } else if (errs.length > 1) {
+            return callback(new errors.MultiError(errs));
+        }
+
+        var changes = diff.diffManifests(sides[0].image, sides[1].image);
+        if (opts.json) {
+            console.log(JSON.stringify(changes, null, 2));
+        } else {
+            console.log('--- %s (%s %s)', sides[0].uuid, sides[0].image.name,
+                sides[0].image.version);
+            console.log('+++ %s (%s %s)%s', sides[1].uuid,
+                sides[1].image.name, sides[1].image.version,
+                (sourceClient ? ' from ' + opts['source-url'] : ''));
+            changes.forEach(function (change) {
+                console.log(diff.formatChange(change));
+            });
+        }
+        callback();
+    });
+};
+CLI.prototype.do_diff.description = (
+    'Show the field-level differences between two image manifests.\n' +
     '\n' +
-    'Filtering Options:\n' +
-    '    -a, --all          List all images, not just "active" ones. This\n' +
-    '                       is a shortcut for the "state=all" filter.\n' +
-    '    -m, --marker ARG   Only list images that with "published_at" greater\n' +
-    '                       than or equal to that of the given image *UUID*\n' +
-    '                       or given *date string*.\n' +
-    '    -l, --limit NUM    Maximum number of images to return. Images are\n' +
-    '                       sorted by creation date (ASC) by default.\n' +
+    'Usage:\n' +
+    '    $NAME diff [OPTIONS] UUID1 UUID2\n' +
+    '    $NAME diff [OPTIONS] -S SOURCE-URL UUID1 [UUID2]\n' +
+    '\n' +
+    'Options:\n' +
+    '    -h, --help         Show this help and exit.\n' +
+    '    -j, --json         JSON output: an array of changes.\n' +
+    '    -S SOURCE-URL      Get the second image from the given IMGAPI\n' +
+    '                       repository, e.g. to compare the same image UUID\n' +
+    '                       across two IMGAPIs. By default all channels of\n' +
+    '                       the source are searched. Use a "?channel=NAME"\n' +
+    '                       query param to select one.\n' +
     // TODO: add --incl-admin-fields when using dashdash for opts
     '    -A                 Allow administrator fields to be returned. This\n' +
     '                       may require auth.\n' +
     '\n' +
-    'Output Options:\n' +
-    '    -j, --json         JSON output\n' +
-    '    -H                 Do not print table header row\n' +
-    '    -o field1,...      Specify fields (columns) to output.\n' +
-    '    -s field1,...      Sort on the given fields. Default is\n' +
-    '                       "published_at,name".\n' +
-    '    --latest           Only show the latest image, by published_at,\n' +
-    '                       for a given (owner, name) set\n' +
-    '    --tree             Show tree view organized by image "origin". Note:\n' +
-    '                       This may add placeholder entries for origin images\n' +
-    '                       that are not already an included image.\n' +
-    '                       Limitation: `-s` sorting is not supported.'
-    /* END JSSTYLED */
+    'Each output line is a changed field, by its dotted path: "+" for an\n' +
+    'added field, "-" for a removed field and "~" for a changed value.\n' +
+    'Added or removed elements of an array of values (e.g. "acl") are\n' +
+    'shown as a "+" or "-" line for that field.\n'
 );
-CLI.prototype.do_list.longOpts = {
+CLI.prototype.do_diff.longOpts = {
     'json': Boolean,
-    'skipHeader': Boolean,
-    'output': String,
-    'sort': String,
-    'all': Boolean,
-    'latest': Boolean,
-    'marker': String,
-    'limit': Number,
-    'inclAdminFields': Boolean,
-    'tree': Boolean
+    'source-url': String,
+    'inclAdminFields': Boolean
 };
-CLI.prototype.do_list.shortOpts = {
+CLI.prototype.do_diff.shortOpts = {
     'j': ['--json'],
-    'H': ['--skipHeader'],
-    'o': ['--output'],
-    's': ['--sort'],
-    'a': ['--all'],
-    'm': ['--marker'],
-    'l': ['--limit'],
+    'S': ['--source-url'],
     'A': ['--inclAdminFields']
 };
 
 
-CLI.prototype.do_get = function do_get(subcmd, opts, args, callback) {
+CLI.prototype.do_verify = function do_verify(subcmd, opts, args, callback) {
     var self = this;
     if (args.length !== 1) {
         return callback(new errors.UsageError(format(
             'incorrect number of args (%d): %s', args.length, args.join(' '))));
+    } else if (!opts.file) {
+        return callback(new errors.UsageError('no file given: use "-f"'));
     }
     var uuid = args[0];
     assert.uuid(uuid, 'uuid');
 
-    var getOpts = {};
-    if (opts.inclAdminFields) {
-        getOpts.inclAdminFields = opts.inclAdminFields;
-    }
-
-    this.client.getImage(uuid, getOpts, function (err, image, res) {
-        self.log.trace({err: err, client_res: res}, 'GetImage');
+    // The image is checked, and the file size compared, before hashing
+    // what may be a many GB file.
+    var actual = {};
+    var image;
+    vasync.pipeline({funcs: [
+        function getImage(_, next) {
+            self.client.getImage(uuid, function (err, img, res) {
+                self.log.trace({err: err, image: img, client_res: res},
+                    'GetImage');
+                if (err) {
+                    return next(self._errorFromClientError(err));
+                } else if (!img.files || img.files.length === 0) {
+                    return next(new errors.VerifyMismatchError(format(
+                        'image %s has no file', uuid)));
+                }
+                image = img;
+                next();
+            });
+        },
+        function statLocalFile(_, next) {
+            fs.stat(opts.file, function (err, stats) {
+                if (err && err.code === 'ENOENT') {
+                    return next(new errors.FileNotFoundError(err, opts.file));
+                } else if (err) {
+                    return next(err);
+                }
+                actual.size = stats.size;
+                next();
+            });
+        },
+        function detectCompression(_, next) {
+            compression.detectFileCompression(opts.file,
+                    function (err, detected) {
+                actual.compression = detected;
+                next(err);
+            });
+        },
+        function hashLocalFile(_, next) {
+            if (actual.size !== image.files[0].size) {
+                return next();
+            }
+            common.hashFile(opts.file, function (err, info) {
+                actual.sha1 = (info && info.sha1);
+                next(err);
+            });
+        }
+    ]}, function (err) {
         if (err) {
-            return callback(self._errorFromClientError(err));
+            return callback(err);
         }
-        console.log(JSON.stringify(image, null, 2));
+        var expected = {
+            sha1: image.files[0].sha1,
+            size: image.files[0].size,
+            compression: image.files[0].compression || 'none'
+        };
+        var mismatches = [];
+        ['sha1', 'size', 'compression'].forEach(function (field) {
+            // The SHA-1 isn't computed if the size doesn't match.
+            if (actual[field] !== undefined &&
+                actual[field] !== expected[field])
+            {
+                mismatches.push(format('\n    %s: expected %s, got %s', field,
+                    expected[field], actual[field]));
+            }
+        });
+        if (mismatches.length) {
+            return callback(new errors.VerifyMismatchError(format(
+                'file "%s" does not match image %s (%s, %s) file:%s',
+                opts.file, uuid, image.name, image.version,
+                mismatches.join(''))));
+        }
+        console.log('File "%s" matches image %s (%s, %s) file', opts.file,
+            uuid, image.name, image.version);
         callback();
     });
 };
-CLI.prototype.do_get.description = (
-    'Get an image manifest.\n' +
+CLI.prototype.do_verify.description = (
+    'Verify that a local file is the same as an image file.\n' +
+    '\n' +
+    'The SHA-1, size and (detected) compression of the local file are\n' +
+    'compared with those in the image manifest. Nothing is downloaded, and\n' +
+    'the file is only hashed if its size matches.\n' +
     '\n' +
     'Usage:\n' +
-    '    $NAME get [OPTIONS] UUID\n' +
+    '    $NAME verify UUID -f FILE\n' +
     '\n' +
-    'Options\n' +
+    'Options:\n' +
     '    -h, --help         Show this help and exit.\n' +
-    // TODO: add --incl-admin-fields when using dashdash for opts
-    '    -A                 Allow administrator fields to be returned. This\n' +
-    '                       may require auth.\n' +
-    '\n' +
-    'If the IMGAPI server supports channels, then by default only the\n' +
-    'current set channel (or the server\'s default channel if not set)\n' +
-    'is searched. To look in all channels, use:\n' +
+    '    -f FILE            The local file to verify.\n' +
     '\n' +
-    '    $NAME -C "*" get UUID'
-
+    'Exit Status:\n' +
+    '    0   The file matches the image file.\n' +
+    '    1   There was an error, e.g. the image was not found.\n' +
+    '    2   The file does not match the image file, or the image has no\n' +
+    '        file.\n' +
+    '    3   The file does not exist.\n'
 );
-CLI.prototype.do_get.aliases = ['show', 'info'];
-CLI.prototype.do_get.longOpts = {
-    'inclAdminFields': Boolean
+CLI.prototype.do_verify.longOpts = {
+    'file': String
 };
-CLI.prototype.do_get.shortOpts = {
-    'A': ['--inclAdminFields']
+CLI.prototype.do_verify.shortOpts = {
+    'f': ['--file']
 };
 
 
@@ -983,85 +2759,124 @@ CLI.prototype.do_get_file = function do_get_file(subcmd, opts, args, callback) {
     assert.uuid(uuid, 'uuid');
     assert.ok(!(opts.output && opts.outputUuidExt),
         'cannot use both "-o <file>" and "-O" options');
+    var limitRate;
+    try {
+        limitRate = limitRateFromOpts(opts);
+    } catch (rateErr) {
+        return callback(rateErr);
+    }
 
     function getOutputPath(next) {
-        if (opts.output) {
-            next(null, opts.output);
-        } else if (opts.outputUuidExt) {
-            self.client.getImage(uuid, function (imageErr, image, res) {
-                if (imageErr)
-                    return next(self._errorFromClientError(imageErr));
-                var ext = {
-                    'bzip2': '.bz2',
-                    'gzip': '.gz',
-                    'xz': '.xz',
-                    'none': ''
-                }[image.files[0].compression || 'none'];
-                next(null, format('%s-file%s', uuid, ext));
-            });
-        } else {
-            next();  // undefined means <stdout>
-        }
+        self.client.getImage(uuid, function (imageErr, image, res) {
+            if (imageErr)
+                return next(self._errorFromClientError(imageErr));
+            if (!image.files || !image.files[0]) {
+                return next(new errors.DownloadError(format(
+                    'image %s has no file', uuid)));
+            } else if (opts.output) {
+                return next(null, opts.output, image);
+            } else if (opts.outputUuidExt) {
+                var ext = (opts.decompress ? '' : FILE_EXT_FROM_COMPRESSION[
+                    image.files[0].compression || 'none']);
+                next(null, format('%s-file%s', uuid, ext), image);
+            } else {
+                next(null, undefined, image);  // undefined means <stdout>
+            }
+        });
     }
-    getOutputPath(function (pathErr, outputPath) {
-        if (pathErr) {
-            return callback(pathErr);
+    /*
+     * Write the image file data from `stream` (from IMGAPI or the cache) to
+     * `outputPath`, or stdout if not given, verifying the (compressed) data
+     * after it is all written out.
+     */
+    function writeFile(image, outputPath, stream, rate) {
+        var hash = crypto.createHash('sha1');
+        var size = 0;
+        stream.on('data', function (chunk) {
+            hash.update(chunk);
+            size += chunk.length;
+        });
+
+        var output = throttle(stream, rate);
+        if (opts.decompress) {
+            try {
+                output = compression.decompressStream(output,
+                    image.files[0].compression || 'none');
+            } catch (decompressErr) {
+                return callback(new errors.DownloadError(decompressErr,
+                    format('cannot decompress image %s file', uuid)));
+            }
         }
 
-        var bar = null;
-        var hash = null;
-        var md5Expected = null;
+        // This isn't resumed (see `_downloadImageFile`), so "<file>.part" is
+        // always written from the start.
+        var partPath = outputPath && outputPath + '.part';
         var finished = false;
-        function finish(err) {
+        function finish(finishErr) {
             if (finished)
                 return;
             finished = true;
-            if (bar) {
-                bar.end();
-            }
-            if (outputPath) {
-                console.error('Saved "%s".', outputPath);
+            finishErr = finishErr || fileMismatchError(image,
+                {sha1: hash.digest('hex'), size: size});
+            if (!partPath) {
+                return callback(finishErr);
+            } else if (finishErr) {
+                return fs.unlink(partPath, function () {
+                    callback(finishErr);
+                });
             }
-            if (hash && !err) {
-                assert.string(md5Expected, 'headers["Content-MD5"]');
-                var md5Actual = hash.digest('base64');
-                if (md5Actual !== md5Expected) {
-                    err = new errors.DownloadError(format(
-                        'Content-MD5 expected to be %s, but was %s',
-                        md5Expected, md5Actual));
+            fs.rename(partPath, outputPath, function (renameErr) {
+                if (!renameErr) {
+                    console.error('Saved "%s".', outputPath);
                 }
-            }
-            callback(err);
+                callback(renameErr);
+            });
+        }
+        if (partPath) {
+            var fout = fs.createWriteStream(partPath);
+            fout.on(writeStreamFinishEvent, function () {
+                finish();
+            });
+            fout.on('error', finish);
+            output.pipe(fout);
+        } else {
+            // Piping doesn't end stdout, so we are done at the end of the
+            // (decompressed) data stream.
+            output.pipe(process.stdout);
+            process.stdout.on('error', finish);
+            output.on('end', function () {
+                finish();
+            });
+        }
+        output.on('error', finish);
+        stream.on('error', finish);
+        stream.resume();
+    }
+
+    getOutputPath(function (pathErr, outputPath, image) {
+        if (pathErr) {
+            return callback(pathErr);
+        } else if (self.cache) {
+            return self._cacheImageFile(image,
+                    {quiet: opts.quiet, limitRate: limitRate},
+                    function (cacheErr, entryPath) {
+                if (cacheErr) {
+                    return callback(cacheErr);
+                }
+                writeFile(image, outputPath, fs.createReadStream(entryPath));
+            });
+        } else if (outputPath && !opts.decompress) {
+            return self._downloadImageFile(image, outputPath,
+                {quiet: opts.quiet, limitRate: limitRate}, callback);
         }
 
         self.client.getImageFileStream(uuid, function (err, stream) {
             self.log.trace({err: err, client_res: stream},
                 'GetImageFileStream');
-            var outStream;
             if (err) {
                 return callback(self._errorFromClientError(err));
-            } else if (!outputPath) {
-                outStream = stream.pipe(process.stdout);
-            } else {
-                if (!opts.quiet && process.stderr.isTTY) {
-                    bar = new ProgressBar({
-                        size: Number(stream.headers['content-length']),
-                        filename: uuid
-                    });
-                }
-                md5Expected = stream.headers['content-md5'];
-                hash = crypto.createHash('md5');
-                stream.on('data', function (chunk) {
-                    if (bar)
-                        bar.advance(chunk.length);
-                    hash.update(chunk);
-                });
-                outStream = stream.pipe(fs.createWriteStream(outputPath));
             }
-            outStream.on(writeStreamFinishEvent, finish);
-            outStream.on('error', finish);
-            stream.on('error', finish);
-            stream.resume();
+            writeFile(image, outputPath, stream, limitRate);
         });
     });
 };
@@ -1076,9 +2891,33 @@ CLI.prototype.do_get_file.description = (
     /*JSSTYLED*/
     '    -O                   Write output to <UUID-file.EXT> where "EXT" is \n' +
     '                         appropriate for the image file\'s compression\n' +
-    '    -q, --quiet          Disable download progress bar.\n'
+    '    -q, --quiet          Disable download progress bar.\n' +
+    '    --decompress         Decompress the file (per the "compression" of\n' +
+    '                         the file in the image manifest) as it is\n' +
+    '                         downloaded. With "-O" no "EXT" is added.\n' +
+    '    --limit-rate RATE    Limit the download rate to RATE bytes per\n' +
+    '                         second. RATE may have a K, M or G suffix,\n' +
+    '                         e.g. "20M".\n' +
+    '\n' +
+    'The downloaded data is verified against the SHA-1 and size of the\n' +
+    'file in the image manifest. When writing to stdout, a mismatch is\n' +
+    'reported (with a non-zero exit status) after all data is written.\n' +
+    '\n' +
+    'With "-o" or "-O" the file is downloaded to "<file>.part", then\n' +
+    'renamed to <file> once it is verified. If the download is\n' +
+    'interrupted, running the command again resumes it from the end of\n' +
+    '"<file>.part". Decompressed downloads cannot be resumed.\n' +
+    '\n' +
+    'With "--decompress" the SHA-1 and size of the compressed data are\n' +
+    'verified.\n' +
+    '\n' +
+    'With the global "--cache-dir DIR" option the file is downloaded to\n' +
+    '(or, if already there and verified, used from) the cache in DIR. See\n' +
+    '"$NAME help cache".\n'
 );
 CLI.prototype.do_get_file.longOpts = {
+    'decompress': Boolean,
+    'limit-rate': String,
     'output': String,
     'outputUuidExt': Boolean,
     'quiet': Boolean
@@ -1101,6 +2940,13 @@ CLI.prototype.do_get_icon = function do_get_icon(subcmd, opts, args, callback) {
     assert.ok(!(opts.output && opts.outputUuidExt),
         'cannot use both "-o <file>" and "-O" options');
 
+    var limitRate;
+    try {
+        limitRate = limitRateFromOpts(opts);
+    } catch (rateErr) {
+        return callback(rateErr);
+    }
+
     var outputPath;
     var bar = null;
     var hash = null;
@@ -1133,58 +2979,372 @@ CLI.prototype.do_get_icon = function do_get_icon(subcmd, opts, args, callback) {
         if (opts.output) {
             outputPath = opts.output;
         } else if (opts.outputUuidExt) {
-            var ext = {
-                'image/jpeg': '.jpg',
-                'image/png': '.png',
-                'image/gif': '.gif'
-            }[stream.headers['content-type']];
+            var ext = ICON_EXT_FROM_CONTENT_TYPE[
+                stream.headers['content-type']];
             outputPath = format('s-icon%s', uuid, ext);
         }
 
-        if (!outputPath) {
-            stream.pipe(process.stdout);
-        } else {
-            if (!opts.quiet && process.stderr.isTTY) {
-                bar = new ProgressBar({
-                    size: Number(stream.headers['content-length']),
-                    filename: uuid
+        var throttled = throttle(stream, limitRate);
+        if (!outputPath) {
+            throttled.pipe(process.stdout);
+        } else {
+            if (!opts.quiet && process.stderr.isTTY) {
+                bar = new ProgressBar({
+                    size: Number(stream.headers['content-length']),
+                    filename: uuid
+                });
+            }
+            md5Expected = stream.headers['content-md5'];
+            hash = crypto.createHash('md5');
+            throttled.on('data', function (chunk) {
+                if (bar)
+                    bar.advance(chunk.length);
+                hash.update(chunk);
+            });
+            throttled.pipe(fs.createWriteStream(outputPath));
+        }
+        throttled.on('end', finish);
+        throttled.on('error', finish);
+    });
+};
+CLI.prototype.do_get_icon.description = (
+    'Get an image icon file.\n' +
+    '\n' +
+    'Usage:\n' +
+    '    $NAME get-icon [OPTIONS]\n' +
+    '\n' +
+    'Options:\n' +
+    '    -o, --output <file>  Write output to <file>\n' +
+    /*JSSTYLED*/
+    '    -O                   Write output to <UUID-icon.EXT> where "EXT" is\n' +
+    '                         appropriate for the icon file\'s content type\n' +
+    '    -q, --quiet          Disable upload progress bar.\n' +
+    '    --limit-rate RATE    Limit the download rate to RATE bytes per\n' +
+    '                         second. RATE may have a K, M or G suffix,\n' +
+    '                         e.g. "20M".\n'
+);
+CLI.prototype.do_get_icon.longOpts = {
+    'limit-rate': String,
+    'output': String,
+    'outputUuidExt': Boolean,
+    'quiet': Boolean
+};
+CLI.prototype.do_get_icon.shortOpts = {
+    'o': ['--output'],
+    'O': ['--outputUuidExt'],
+    'q': ['--quiet']
+};
+
+
+CLI.prototype.do_save = function do_save(subcmd, opts, args, callback) {
+    var self = this;
+    if (args.length === 0) {
+        return callback(new errors.UsageError('no image UUIDs given'));
+    }
+    args.forEach(function (uuid) {
+        assert.uuid(uuid, 'uuid');
+    });
+    var concurrency = (opts.concurrency === undefined ? 3 : opts.concurrency);
+    if (isNaN(concurrency) || concurrency < 1) {
+        return callback(new errors.UsageError(format(
+            'invalid concurrency: %s', opts.concurrency)));
+    }
+    var dir = opts.dir || '.';
+
+    var numSaved = 0;
+    var errs = [];
+
+    function saveIcon(image, basePath, next) {
+        self.client.getImageIconStream(image.uuid, function (err, stream) {
+            self.log.trace({err: err, client_res: stream},
+                'GetImageIconStream');
+            if (err) {
+                return next(self._errorFromClientError(err));
+            }
+            var ext = ICON_EXT_FROM_CONTENT_TYPE[
+                stream.headers['content-type']] || '';
+            var iconPath = basePath + '-icon' + ext;
+            var md5Expected = stream.headers['content-md5'];
+            var hash = crypto.createHash('md5');
+            stream.on('data', function (chunk) {
+                hash.update(chunk);
+            });
+
+            var finished = false;
+            function finish(finishErr) {
+                if (finished)
+                    return;
+                finished = true;
+                if (!finishErr && md5Expected) {
+                    var md5Actual = hash.digest('base64');
+                    if (md5Actual !== md5Expected) {
+                        finishErr = new errors.DownloadError(format(
+                            'image %s icon Content-MD5 expected to be %s, ' +
+                            'but was %s', image.uuid, md5Expected, md5Actual));
+                    }
+                }
+                if (!finishErr) {
+                    console.error('Saved "%s".', iconPath);
+                }
+                next(finishErr);
+            }
+            var outStream = stream.pipe(fs.createWriteStream(iconPath));
+            outStream.on(writeStreamFinishEvent, function () {
+                finish();
+            });
+            outStream.on('error', finish);
+            stream.on('error', finish);
+            stream.resume();
+        });
+    }
+
+    function saveImage(uuid, next) {
+        var image;
+        var basePath;
+        vasync.pipeline({funcs: [
+            function getManifest(_, nextStep) {
+                self.client.getImage(uuid, function (err, img, res) {
+                    self.log.trace({err: err, client_res: res}, 'GetImage');
+                    if (err) {
+                        return nextStep(self._errorFromClientError(err));
+                    } else if (!img.files || !img.files[0]) {
+                        return nextStep(new errors.DownloadError(format(
+                            'image %s has no file', uuid)));
+                    }
+                    image = img;
+                    basePath = path.join(dir,
+                        format('%s-%s', image.name, image.version));
+                    nextStep();
+                });
+            },
+            function writeManifest(_, nextStep) {
+                var manifestPath = basePath + '.imgmanifest';
+                fs.writeFile(manifestPath,
+                    JSON.stringify(image, null, 2) + '\n', function (err) {
+                    if (!err) {
+                        console.error('Saved "%s".', manifestPath);
+                    }
+                    nextStep(err);
+                });
+            },
+            function writeFile(_, nextStep) {
+                var ext = FILE_EXT_FROM_COMPRESSION[
+                    image.files[0].compression || 'none'];
+                self._downloadImageFile(image, basePath + '.zfs' + ext,
+                    {quiet: opts.quiet || args.length > 1}, nextStep);
+            },
+            function writeIcon(_, nextStep) {
+                if (!image.icon) {
+                    return nextStep();
+                }
+                saveIcon(image, basePath, nextStep);
+            }
+        ]}, function (err) {
+            if (err) {
+                console.error('Error saving image %s: %s', uuid, err.message);
+                errs.push(err);
+            } else {
+                numSaved++;
+                console.log('Saved image %s (%s, %s) to "%s.*"', uuid,
+                    image.name, image.version, basePath);
+            }
+            next();
+        });
+    }
+
+    fs.stat(dir, function (statErr, stats) {
+        if (statErr && statErr.code === 'ENOENT') {
+            return callback(new errors.UsageError(format(
+                'directory "%s" does not exist', dir)));
+        } else if (statErr) {
+            return callback(statErr);
+        } else if (!stats.isDirectory()) {
+            return callback(new errors.UsageError(format(
+                '"%s" is not a directory', dir)));
+        }
+
+        var queue = vasync.queue(saveImage, concurrency);
+        queue.on('end', function () {
+            console.log('Saved %d of %d image%s', numSaved, args.length,
+                (args.length === 1 ? '' : 's'));
+            if (errs.length === 1) {
+                callback(errs[0]);
+            } else if (errs.length > 1) {
+                callback(new errors.MultiError(errs));
+            } else {
+                callback();
+            }
+        });
+        queue.push(args);
+        queue.close();
+    });
+};
+CLI.prototype.do_save.description = (
+    'Save images, with their manifests, to a local directory.\n' +
+    '\n' +
+    'For each image, the manifest, file and icon (if any) are written to\n' +
+    '"NAME-VERSION.imgmanifest", "NAME-VERSION.zfs[.EXT]" (where "EXT" is\n' +
+    'appropriate for the file\'s compression) and "NAME-VERSION-icon.EXT".\n' +
+    'Files are verified against the manifest. A saved image can be loaded\n' +
+    'into an IMGAPI with:\n' +
+    '\n' +
+    '    $NAME import -m NAME-VERSION.imgmanifest -f NAME-VERSION.zfs.EXT\n' +
+    '\n' +
+    'Usage:\n' +
+    '    $NAME save [OPTIONS] UUID...\n' +
+    '\n' +
+    'Options:\n' +
+    '    -h, --help         Show this help and exit.\n' +
+    '    -D, --dir DIR      Directory in which to save the images. Default\n' +
+    '                       is the current directory.\n' +
+    '    --concurrency NUM  Number of images to download at a time. Default\n' +
+    '                       is 3.\n' +
+    '    -q, --quiet        Disable download progress bar.\n'
+);
+CLI.prototype.do_save.longOpts = {
+    'dir': String,
+    'concurrency': Number,
+    'quiet': Boolean
+};
+CLI.prototype.do_save.shortOpts = {
+    'D': ['--dir'],
+    'q': ['--quiet']
+};
+
+
+CLI.prototype.do_cache = function do_cache(subcmd, opts, args, callback) {
+    var self = this;
+    if (args.length !== 1) {
+        return callback(new errors.UsageError(format(
+            'incorrect number of args (%d): %s', args.length, args.join(' '))));
+    } else if (!self.cache) {
+        return callback(new errors.UsageError(
+            'no cache directory: use the "--cache-dir DIR" option'));
+    }
+    var action = args[0];
+
+    switch (action) {
+    case 'list':
+        self.cache.list(function (err, entries) {
+            if (err) {
+                return callback(err);
+            }
+            if (opts.json) {
+                console.log(JSON.stringify(entries, null, 2));
+            } else {
+                var now = Date.now();
+                tabula(entries.map(function (entry) {
+                    return {
+                        uuid: entry.uuid,
+                        sha1: entry.sha1,
+                        size: entry.size,
+                        last_used: common.longAgo(entry.mtime, now)
+                    };
+                }), {
+                    skipHeader: opts.skipHeader,
+                    columns: ['uuid', 'size', 'last_used', 'sha1']
                 });
             }
-            md5Expected = stream.headers['content-md5'];
-            hash = crypto.createHash('md5');
-            stream.on('data', function (chunk) {
-                if (bar)
-                    bar.advance(chunk.length);
-                hash.update(chunk);
+            callback();
+        });
+        break;
+
+    case 'verify':
+        self.cache.verify(function (err, entries, corrupt) {
+            corrupt = corrupt || [];
+            corrupt.forEach(function (entry) {
+                console.log('Removed corrupt cache entry for image %s ' +
+                    '(SHA-1 %s)', entry.uuid, entry.sha1);
             });
-            stream.pipe(fs.createWriteStream(outputPath));
+            if (entries) {
+                console.log('Verified %d cache entr%s (%d corrupt)',
+                    entries.length, (entries.length === 1 ? 'y' : 'ies'),
+                    corrupt.length);
+            }
+            callback(err);
+        });
+        break;
+
+    case 'evict':
+        var evictOpts = {};
+        if (opts['max-size'] !== undefined) {
+            evictOpts.maxSize = common.parseSize(opts['max-size']);
+            if (isNaN(evictOpts.maxSize)) {
+                return callback(new errors.UsageError(format(
+                    'invalid --max-size "%s"', opts['max-size'])));
+            }
         }
-        stream.on('end', finish);
-        stream.on('error', finish);
-    });
+        if (opts['older-than'] !== undefined) {
+            evictOpts.maxAge = common.parseDuration(opts['older-than']);
+            if (isNaN(evictOpts.maxAge)) {
+                return callback(new errors.UsageError(format(
+                    'invalid --older-than "%s"', opts['older-than'])));
+            }
+        }
+        if (Object.keys(evictOpts).length === 0) {
+            return callback(new errors.UsageError(
+                'must give "--max-size SIZE" and/or "--older-than DURATION"'));
+        }
+        self.cache.evict(evictOpts, function (err, entries, evicted) {
+            var freed = 0;
+            (evicted || []).forEach(function (entry) {
+                freed += entry.size;
+                console.log('Evicted cache entry for image %s (%d bytes)',
+                    entry.uuid, entry.size);
+            });
+            if (entries) {
+                console.log('Evicted %d of %d cache entries (%d bytes freed)',
+                    evicted.length, entries.length, freed);
+            }
+            callback(err);
+        });
+        break;
+
+    default:
+        callback(new errors.UsageError(format(
+            'unknown cache action "%s": must be one of list, verify, evict',
+            action)));
+        break;
+    }
 };
-CLI.prototype.do_get_icon.description = (
-    'Get an image icon file.\n' +
+CLI.prototype.do_cache.description = (
+    'Manage the local cache of image files.\n' +
+    '\n' +
+    'With the global "--cache-dir DIR" option, `$NAME get-file` keeps the\n' +
+    'image files it downloads in DIR, keyed by image UUID and file SHA-1,\n' +
+    'and uses a cached file (after verifying its SHA-1 and size against the\n' +
+    'manifest) instead of downloading it again.\n' +
     '\n' +
     'Usage:\n' +
-    '    $NAME get-icon [OPTIONS]\n' +
+    '    $NAME --cache-dir DIR cache list [-j] [-H]\n' +
+    '    $NAME --cache-dir DIR cache verify\n' +
+    '    $NAME --cache-dir DIR cache evict [--max-size SIZE] \\\n' +
+    '        [--older-than DURATION]\n' +
+    '\n' +
+    'Actions:\n' +
+    '    list     List cache entries, most recently used first.\n' +
+    '    verify   Verify the SHA-1 of each cache entry, removing corrupt\n' +
+    '             entries.\n' +
+    '    evict    Remove entries last used longer ago than DURATION (e.g.\n' +
+    '             "30d"), then the least recently used entries until the\n' +
+    '             cache is no bigger than SIZE (e.g. "50G").\n' +
     '\n' +
     'Options:\n' +
-    '    -o, --output <file>  Write output to <file>\n' +
-    /*JSSTYLED*/
-    '    -O                   Write output to <UUID-icon.EXT> where "EXT" is\n' +
-    '                         appropriate for the icon file\'s content type\n' +
-    '    -q, --quiet          Disable upload progress bar.\n'
+    '    -h, --help              Show this help and exit.\n' +
+    '    -j, --json              JSON output\n' +
+    '    -H                      Do not print table header row\n' +
+    '    --max-size SIZE         Evict down to this total size.\n' +
+    '    --older-than DURATION   Evict entries not used for this long.\n'
 );
-CLI.prototype.do_get_icon.longOpts = {
-    'output': String,
-    'outputUuidExt': Boolean,
-    'quiet': Boolean
+CLI.prototype.do_cache.longOpts = {
+    'json': Boolean,
+    'skipHeader': Boolean,
+    'max-size': String,
+    'older-than': String
 };
-CLI.prototype.do_get_icon.shortOpts = {
-    'o': ['--output'],
-    'O': ['--outputUuidExt'],
-    'q': ['--quiet']
+CLI.prototype.do_cache.shortOpts = {
+    'j': ['--json'],
+    'H': ['--skipHeader']
 };
 
 
@@ -1200,6 +3360,29 @@ CLI.prototype.do_delete = function do_delete(subcmd, opts, args, callback) {
     if (opts['force-all-channels']) {
         delOpts.forceAllChannels = true;
     }
+
+    if (self._dryRun) {
+        return self._dryRunGetImage(uuid, function (err, image) {
+            if (err) {
+                return callback(err);
+            }
+            if (!self.features.channels || delOpts.forceAllChannels ||
+                !image.channels || image.channels.length <= 1)
+            {
+                console.log('Would delete image %s (%s, %s)', uuid,
+                    image.name, image.version);
+            } else if (self.client.channel) {
+                console.log('Would remove image %s (%s, %s) from "%s" ' +
+                    'channel', uuid, image.name, image.version,
+                    self.client.channel);
+            } else {
+                console.log('Would remove image %s (%s, %s) from default ' +
+                    'channel', uuid, image.name, image.version);
+            }
+            callback();
+        });
+    }
+
     this.client.deleteImage(uuid, delOpts, function (err, res) {
         self.log.trace({err: err, client_res: res}, 'DeleteImage');
         if (err) {
@@ -1216,6 +3399,7 @@ CLI.prototype.do_delete = function do_delete(subcmd, opts, args, callback) {
         callback();
     });
 };
+CLI.prototype.do_delete.supportsDryRun = true;
 CLI.prototype.do_delete.description = (
     'Delete the given image.\n' +
     '\n' +
@@ -1244,6 +3428,211 @@ CLI.prototype.do_delete._channels_longOpts = {
 };
 
 
+CLI.prototype.do_prune = function do_prune(subcmd, opts, args, callback) {
+    var self = this;
+    var now = Date.now();
+    if (opts.keep === undefined && opts['newer-than'] === undefined) {
+        return callback(new errors.UsageError(
+            'one of "--keep" or "--newer-than" is required'));
+    } else if (opts.keep !== undefined && (isNaN(opts.keep) || opts.keep < 0)) {
+        return callback(new errors.UsageError(format(
+            'invalid "--keep" number: %s', opts.keep)));
+    }
+    var newerThan;
+    if (opts['newer-than'] !== undefined) {
+        newerThan = timeFromArg(opts['newer-than'], now);
+        if (isNaN(newerThan)) {
+            return callback(new errors.UsageError(format(
+                'invalid "--newer-than" date or duration: "%s"',
+                opts['newer-than'])));
+        }
+    }
+    var action = (opts['delete'] ? 'delete' : 'disable');
+
+    var filter;
+    try {
+        filter = filters.parseFilterArgs(args);
+    } catch (parseErr) {
+        return callback(parseErr);
+    }
+
+    var candidates = [];
+    var allImages = [];
+    var prune = [];
+    var numKeptAsOrigin = 0;
+
+    vasync.pipeline({funcs: [
+        function listCandidates(_, next) {
+            self._listImagesPaged(self.client, filter.serverFilters, {},
+                    function onPage(images, nextPage) {
+                images.forEach(function (img) {
+                    if (filters.matchImage(filter, img)) {
+                        candidates.push(img);
+                    }
+                });
+                nextPage();
+            }, next);
+        },
+
+        function listAllImages(_, next) {
+            var listOpts = {};
+            if (self.features.channels) {
+                listOpts.channel = '*';
+            }
+            self._listImagesPaged(self.client, {state: 'all'}, listOpts,
+                    function onPage(images, nextPage) {
+                allImages = allImages.concat(images);
+                nextPage();
+            }, next);
+        },
+
+        function planPrune(_, next) {
+            var groups = imagesFromOwnerName(candidates);
+            var pruneFromUuid = {};
+            Object.keys(groups).forEach(function (ownerName) {
+                groups[ownerName].forEach(function (img, i) {
+                    var keep = (!img.published_at ||
+                        (opts.keep !== undefined && i < opts.keep) ||
+                        (newerThan !== undefined &&
+                            Date.parse(img.published_at) >= newerThan));
+                    if (!keep) {
+                        pruneFromUuid[img.uuid] = img;
+                    }
+                });
+            });
+
+            // Keep the origins of all images that are kept.
+            var imageFromUuid = {};
+            allImages.forEach(function (img) {
+                imageFromUuid[img.uuid] = img;
+            });
+            allImages.forEach(function (img) {
+                if (pruneFromUuid[img.uuid]) {
+                    return;
+                }
+                var origin = imageFromUuid[img.origin];
+                while (origin) {
+                    if (pruneFromUuid[origin.uuid]) {
+                        delete pruneFromUuid[origin.uuid];
+                        numKeptAsOrigin++;
+                    }
+                    origin = imageFromUuid[origin.origin];
+                }
+            });
+
+            prune = Object.keys(pruneFromUuid).map(function (uuid) {
+                return pruneFromUuid[uuid];
+            }).filter(function (img) {
+                return (action === 'delete' || !img.disabled);
+            });
+            // Newest first, so incremental images go before their origins.
+            tabula.sortArrayOfObjects(prune, ['-published_at']);
+            next();
+        }
+    ]}, function (err) {
+        if (err) {
+            return callback(err);
+        }
+
+        if (prune.length > 0) {
+            tabula(prune, {
+                skipHeader: false,
+                columns: ['uuid', 'owner', 'name', 'version', 'published_at']
+            });
+        }
+        console.log('%d image%s to %s (%d kept as origins of kept images)',
+            prune.length, (prune.length === 1 ? '' : 's'), action,
+            numKeptAsOrigin);
+        if (prune.length === 0 || self._dryRun) {
+            return callback();
+        } else if (!opts.yes) {
+            console.log('Use "--yes" to %s them.', action);
+            return callback();
+        }
+
+        var errs = [];
+        vasync.forEachPipeline({
+            inputs: prune,
+            func: function pruneImage(img, next) {
+                if (action === 'delete') {
+                    self.client.deleteImage(img.uuid, function (delErr, res) {
+                        self.log.trace({err: delErr, client_res: res},
+                            'DeleteImage');
+                        if (delErr) {
+                            errs.push(self._errorFromClientError(delErr));
+                        } else {
+                            console.log('Deleted image %s (%s, %s)', img.uuid,
+                                img.name, img.version);
+                        }
+                        next();
+                    });
+                } else {
+                    self.client.disableImage(img.uuid,
+                            function (disErr, image, res) {
+                        self.log.trace({err: disErr, image: image,
+                            client_res: res}, 'DisableImage');
+                        if (disErr) {
+                            errs.push(self._errorFromClientError(disErr));
+                        } else {
+                            console.log('Disabled image %s (%s, %s)',
+                                img.uuid, img.name, img.version);
+                        }
+                        next();
+                    });
+                }
+            }
+        }, function finish(pipeErr) {
+            if (pipeErr) {
+                callback(pipeErr);
+            } else if (errs.length === 1) {
+                callback(errs[0]);
+            } else if (errs.length > 1) {
+                callback(new errors.MultiError(errs));
+            } else {
+                callback();
+            }
+        });
+    });
+};
+CLI.prototype.do_prune.supportsDryRun = true;
+CLI.prototype.do_prune.description = (
+    'Disable (or delete) old versions of images.\n' +
+    '\n' +
+    'Of the images matching the given filters (see "$NAME help list"), the\n' +
+    'newest "--keep" versions of each owner and name are kept, and those\n' +
+    'published more recently than "--newer-than". The rest are disabled,\n' +
+    'or deleted with "--delete", except for images that are the origin of\n' +
+    'a kept (incremental) image. The images to prune are listed first and\n' +
+    'nothing is changed unless "--yes" is given.\n' +
+    '\n' +
+    'Usage:\n' +
+    '    $NAME prune [OPTIONS] [FILTERS...]\n' +
+    '\n' +
+    'Options:\n' +
+    '    -h, --help         Show this help and exit.\n' +
+    '    -k, --keep NUM     Keep the newest NUM versions of each image.\n' +
+    '    --newer-than TIME  Keep images published after TIME: a date (e.g.\n' +
+    '                       "2025-01-01") or a duration ago (e.g. "30d").\n' +
+    '    --delete           Delete the pruned images instead of disabling\n' +
+    '                       them.\n' +
+    '    -y, --yes          Prune the images. Without this option, only the\n' +
+    '                       images that would be pruned are listed.\n' +
+    '\n' +
+    'Examples:\n' +
+    '    $NAME prune -k 3 --newer-than 30d name=~/^ci-/\n'
+);
+CLI.prototype.do_prune.longOpts = {
+    'keep': Number,
+    'newer-than': String,
+    'delete': Boolean,
+    'yes': Boolean
+};
+CLI.prototype.do_prune.shortOpts = {
+    'k': ['--keep'],
+    'y': ['--yes']
+};
+
+
 
 CLI.prototype.do_create = function do_create(subcmd, opts, args, callback) {
     var self = this;
@@ -1256,7 +3645,7 @@ CLI.prototype.do_create = function do_create(subcmd, opts, args, callback) {
     function getManifestData(next) {
         if (opts.manifest) {
             fs.readFile(opts.manifest, 'utf8', next);
-        } else if (process.stdin.isTTY) {
+        } else if (process.stdin.isTTY || opts.file === '-') {
             next(new errors.UsageError('image create: no manifest given'));
         } else {
             var data = '';
@@ -1295,15 +3684,14 @@ CLI.prototype.do_create = function do_create(subcmd, opts, args, callback) {
         }
     }
 
-    getManifestData(function (err, data) {
-        if (err) {
-            return callback(err);
-        }
-        var manifest;
-        try {
-            manifest = JSON.parse(data);
-        } catch (syntaxErr) {
-            return callback(new errors.InvalidManifestDataError(syntaxErr));
+    /**
+     * Create the image from the (rendered) manifest and finish.
+     */
+    function createImage(manifest) {
+        var validationErrs = validateManifest(manifest);
+        if (validationErrs.length) {
+            return callback(
+                new errors.ManifestValidationError(validationErrs));
         }
         if (!opts.compression && manifest.files && manifest.files[0] &&
             manifest.files[0].compression) {
@@ -1321,6 +3709,10 @@ CLI.prototype.do_create = function do_create(subcmd, opts, args, callback) {
                 return callback(fErr);
             }
 
+            if (self._dryRun) {
+                return self._dryRunCreate('create', manifest, opts, callback);
+            }
+
             self.client.createImage(manifest, function (cErr, image, res) {
                 self.log.trace({err: cErr, image: image, client_res: res},
                     'CreateImage');
@@ -1344,46 +3736,355 @@ CLI.prototype.do_create = function do_create(subcmd, opts, args, callback) {
                 }
             });
         });
+    }
+
+    getManifestData(function (err, data) {
+        if (err) {
+            return callback(err);
+        }
+        var tmpl;
+        try {
+            tmpl = JSON.parse(data);
+        } catch (syntaxErr) {
+            return callback(new errors.InvalidManifestDataError(syntaxErr));
+        }
+        self._renderManifestTemplate(tmpl, opts, function (rErr, manifest) {
+            if (rErr) {
+                return callback(rErr);
+            }
+            createImage(manifest);
+        });
+    });
+};
+CLI.prototype.do_create.supportsDryRun = true;
+CLI.prototype.do_create.description = (
+    'Create an image.\n' +
+    '\n' +
+    'This creates a new *unactivated* image with the given manifest data.\n' +
+    'The typical next steps are to add the image file ($NAME add-file) then\n' +
+    'activate the image ($NAME activate). All three steps can be done in\n' +
+    'one by specifying the "-f FILE" option.\n' +
+    '\n' +
+    'Usage:\n' +
+    '    $NAME create [-m MANIFEST-FILE]\n' +
+    '    (manifest data on stdout) | $NAME create\n' +
+    '\n' +
+    'Options:\n' +
+    '    -m MANIFEST-FILE   The manifest file with which to create\n' +
+    /*JSSTYLED*/
+    '    -f FILE            Also upload the given file and activate the image\n'+
+    '    -c COMPRESSION     Specify the compression used for the image file.\n'+
+    '                       One of "gzip", "bzip2", "xz" or "none". If not\n' +
+    '                       given, it is detected from the file content.\n' +
+    '                       It is an error if it contradicts the content.\n' +
+    '    -s SHA1            SHA-1 hash of the image file. If given, the\n' +
+    '                       server will use it compare it with the uploaded\n' +
+    '                       file SHA-1\n' +
+    '    --storage STORAGE  The type of storage preferred for this image\n' +
+    '                       file. Can be "local" or "manta". Will try to\n' +
+    '                       default to "manta" when available, otherwise\n' +
+    '                       "local". This flag will only be relevant if the\n' +
+    '                       -f option is passed.\n' +
+    '    -q, --quiet        Disable upload progress bar.\n' +
+    '    --set KEY=VALUE    Set a manifest template variable. This option\n' +
+    '                       may be given more than once.\n' +
+    '    --vars FILE        JSON file of manifest template variables.\n' +
+    '\n' +
+    'Manifest templates:\n' +
+    '    String values in the manifest may contain "{{NAME}}" placeholders.\n' +
+    '    A value that is just a placeholder is replaced by the variable\n' +
+    '    value, whatever its type, e.g. "{{ram}}" with "--set ram=1024" is\n' +
+    '    the number 1024. Variables are taken from "--set" (values are\n' +
+    '    parsed as for "$NAME update UUID KEY=VALUE"), then "--vars FILE",\n' +
+    '    then environment variables. These helper variables are also\n' +
+    '    defined: "uuid" (a new UUID), "published_at" (the current time),\n' +
+    '    and "sha1" and "size" (of the "-f FILE" image file).\n' +
+    '\n' +
+    'Examples:\n' +
+    '    $NAME create -m manifest.tmpl -f image.zfs.gz --set build=42\n'
+);
+CLI.prototype.do_create.longOpts = {
+    'manifest': String,
+    'file': String,
+    'compression': String,
+    'sha1': String,
+    'quiet': Boolean,
+    'storage': String,
+    'set': [String, Array],
+    'vars': String
+};
+CLI.prototype.do_create.shortOpts = {
+    'm': ['--manifest'],
+    'f': ['--file'],
+    'c': ['--compression'],
+    's': ['--sha1'],
+    'q': ['--quiet']
+};
+
+
+CLI.prototype.do_publish = function do_publish(subcmd, opts, args, callback) {
+    var self = this;
+    if (args.length) {
+        return callback(new errors.UsageError(
+            'unexpected args: ' + args.join(' ')));
+    } else if (!opts.manifest) {
+        return callback(new errors.UsageError('no manifest given: use "-m"'));
+    } else if (!opts.file) {
+        return callback(new errors.UsageError(
+            'no image file given: use "-f"'));
+    }
+    // These options may be given more than once.
+    var channels = [].concat(opts['add-channel'] || []);
+    var acl = [].concat(opts.acl || []);
+    if (channels.length && !self.features.channels) {
+        return callback(new errors.UsageError(
+            'this IMGAPI client does not support channels'));
+    }
+    for (var i = 0; i < acl.length; i++) {
+        if (!UUID_RE.test(acl[i])) {
+            return callback(new errors.UsageError(format(
+                'invalid account UUID for "--acl": "%s"', acl[i])));
+        }
+    }
+
+    var manifest;
+    var image = null;
+    var fileOpts = {
+        file: opts.file,
+        compression: opts.compression,
+        sha1: opts.sha1,
+        storage: opts.storage,
+        quiet: opts.quiet
+    };
+    var iconOpts = {file: opts.icon, quiet: opts.quiet};
+    var addedChannels = [];
+    var step = null;
+
+    /*
+     * Undo everything done so far: remove the image from the channels it was
+     * added to, then delete it (which also removes its file, icon and ACL).
+     */
+    function rollback(next) {
+        if (!image) {
+            return next();
+        }
+        console.log('Rolling back publish of image %s', image.uuid);
+        vasync.pipeline({funcs: [
+            function removeFromChannels(_, nextStep) {
+                vasync.forEachPipeline({
+                    inputs: addedChannels.slice().reverse(),
+                    func: function removeFromChannel(channel, nextChannel) {
+                        self.client.deleteImage(image.uuid, {channel: channel},
+                                function (err, res) {
+                            self.log.trace({err: err, client_res: res},
+                                'DeleteImage');
+                            if (err && err.body &&
+                                err.body.code === 'ResourceNotFound')
+                            {
+                                // Already deleted with its last channel.
+                                return nextChannel();
+                            } else if (err) {
+                                return nextChannel(
+                                    self._errorFromClientError(err));
+                            }
+                            console.log('Removed image %s from "%s" channel',
+                                image.uuid, channel);
+                            nextChannel();
+                        });
+                    }
+                }, nextStep);
+            },
+            function deleteImage(_, nextStep) {
+                var delOpts = {};
+                if (self.features.channels) {
+                    delOpts.forceAllChannels = true;
+                }
+                self.client.deleteImage(image.uuid, delOpts,
+                        function (err, res) {
+                    self.log.trace({err: err, client_res: res},
+                        'DeleteImage');
+                    if (err && err.body &&
+                        err.body.code === 'ResourceNotFound')
+                    {
+                        // Deleted with its last channel above.
+                        err = null;
+                    }
+                    if (err) {
+                        return nextStep(self._errorFromClientError(err));
+                    }
+                    console.log('Deleted image %s', image.uuid);
+                    nextStep();
+                });
+            }
+        ]}, function (err) {
+            if (err) {
+                self.log.debug({err: err}, 'error rolling back');
+                console.log('Warning: Could not roll back publish of ' +
+                    'image %s: %s', image.uuid, err);
+            }
+            next();
+        });
+    }
+
+    vasync.pipeline({funcs: [
+        function readManifest(_, next) {
+            step = 'read manifest';
+            fs.readFile(opts.manifest, 'utf8', function (err, data) {
+                if (err) {
+                    return next(err);
+                }
+                try {
+                    manifest = JSON.parse(data);
+                } catch (syntaxErr) {
+                    return next(new errors.InvalidManifestDataError(
+                        syntaxErr));
+                }
+                var validationErrs = validateManifest(manifest);
+                if (validationErrs.length) {
+                    return next(
+                        new errors.ManifestValidationError(validationErrs));
+                }
+                var file = manifest.files && manifest.files[0];
+                if (!fileOpts.compression && file && file.compression) {
+                    fileOpts.compression = file.compression;
+                }
+                if (!fileOpts.sha1 && file && file.sha1) {
+                    fileOpts.sha1 = file.sha1;
+                }
+                next();
+            });
+        },
+        function checkFiles(_, next) {
+            step = 'check files';
+            // Check copies, as these add the defaults to the opts.
+            ensureAddFileOpts(objCopy(fileOpts), function (err) {
+                if (err) {
+                    return next(err);
+                }
+                ensureAddIconOpts(objCopy(iconOpts), next);
+            });
+        },
+        function createImage(_, next) {
+            step = 'create';
+            self.client.createImage(manifest, function (err, img, res) {
+                self.log.trace({err: err, image: img, client_res: res},
+                    'CreateImage');
+                if (err) {
+                    return next(self._errorFromClientError(err));
+                }
+                image = img;
+                console.log('Created image %s (%s, %s, state=%s)', img.uuid,
+                    img.name, img.version, img.state);
+                next();
+            });
+        },
+        function addFile(_, next) {
+            step = 'add-file';
+            self.do_add_file('add-file', fileOpts, [image.uuid], next);
+        },
+        function addIcon(_, next) {
+            if (!iconOpts.file) {
+                return next();
+            }
+            step = 'add-icon';
+            self.do_add_icon('add-icon', iconOpts, [image.uuid], next);
+        },
+        function activate(_, next) {
+            step = 'activate';
+            self.do_activate('activate', {}, [image.uuid], next);
+        },
+        function addToChannels(_, next) {
+            vasync.forEachPipeline({
+                inputs: channels,
+                func: function addToChannel(channel, nextChannel) {
+                    step = format('channel-add "%s"', channel);
+                    self.client.channelAddImage(
+                            {uuid: image.uuid, channel: channel},
+                            function (err, img, res, req) {
+                        self.log.trace({err: err, client_req: req,
+                            client_res: res, img: img}, 'ChannelAddImage');
+                        if (err) {
+                            return nextChannel(
+                                self._errorFromClientError(err));
+                        }
+                        addedChannels.push(channel);
+                        console.log('Added image %s to "%s" channel',
+                            image.uuid, channel);
+                        nextChannel();
+                    });
+                }
+            }, next);
+        },
+        function addAcl(_, next) {
+            if (acl.length === 0) {
+                return next();
+            }
+            step = 'add-acl';
+            self.client.addImageAcl(image.uuid, acl,
+                    function (err, img, res) {
+                self.log.trace({err: err, image: img, client_res: res},
+                    'AddImageAcl');
+                if (err) {
+                    return next(self._errorFromClientError(err));
+                }
+                console.log('Updated ACL for image %s', image.uuid);
+                next();
+            });
+        }
+    ]}, function (err) {
+        if (!err) {
+            console.log('Published image %s (%s, %s)', image.uuid,
+                image.name, image.version);
+            return callback();
+        }
+        console.error('Publish failed at step "%s": %s', step, err.message);
+        rollback(function () {
+            callback(err);
+        });
     });
 };
-CLI.prototype.do_create.description = (
-    'Create an image.\n' +
+CLI.prototype.do_publish.description = (
+    'Publish an image: create it, add its file and icon, activate it, and\n' +
+    'add it to channels and its ACL.\n' +
     '\n' +
-    'This creates a new *unactivated* image with the given manifest data.\n' +
-    'The typical next steps are to add the image file ($NAME add-file) then\n' +
-    'activate the image ($NAME activate). All three steps can be done in\n' +
-    'one by specifying the "-f FILE" option.\n' +
+    'The steps are run in order and each is reported as it is done. If a\n' +
+    'step fails, everything done so far is rolled back: the image is\n' +
+    'removed from the channels it was added to and deleted.\n' +
     '\n' +
     'Usage:\n' +
-    '    $NAME create [-m MANIFEST-FILE]\n' +
-    '    (manifest data on stdout) | $NAME create\n' +
+    '    $NAME publish -m MANIFEST-FILE -f FILE [OPTIONS]\n' +
     '\n' +
     'Options:\n' +
-    '    -m MANIFEST-FILE   The manifest file with which to create\n' +
-    /*JSSTYLED*/
-    '    -f FILE            Also upload the given file and activate the image\n'+
-    '    -c COMPRESSION     Specify the compression used for the image file.\n'+
-    '                       One of "gzip", "bzip2", "xz" or "none". If not\n' +
-    '                       given, it is inferred from the file extension.\n' +
-    '    -s SHA1            SHA-1 hash of the image file. If given, the\n' +
-    '                       server will use it compare it with the uploaded\n' +
-    '                       file SHA-1\n' +
-    '    --storage STORAGE  The type of storage preferred for this image\n' +
-    '                       file. Can be "local" or "manta". Will try to\n' +
-    '                       default to "manta" when available, otherwise\n' +
-    '                       "local". This flag will only be relevant if the\n' +
-    '                       -f option is passed.\n' +
-    '    -q, --quiet        Disable upload progress bar.\n'
+    '    -h, --help             Show this help and exit.\n' +
+    '    -m MANIFEST-FILE       The manifest file with which to create the\n' +
+    '                           image.\n' +
+    '    -f FILE                The image file.\n' +
+    '    -c COMPRESSION         The compression of the image file. One of\n' +
+    '                           "gzip", "bzip2", "xz" or "none". If not\n' +
+    '                           given, it is detected from the file\n' +
+    '                           content.\n' +
+    '    -s SHA1                SHA-1 hash of the image file.\n' +
+    '    --storage STORAGE      The type of storage preferred for the image\n' +
+    '                           file: "local" or "manta".\n' +
+    '    --icon FILE            An icon file (.jpg, .png or .gif) to add.\n' +
+    '    --add-channel CHANNEL  A channel to add the image to. Can be given\n' +
+    '                           more than once.\n' +
+    '    --acl ACCOUNT-UUID     An account to add to the image ACL. Can be\n' +
+    '                           given more than once.\n' +
+    '    -q, --quiet            Disable upload progress bars.\n'
 );
-CLI.prototype.do_create.longOpts = {
+CLI.prototype.do_publish.longOpts = {
     'manifest': String,
     'file': String,
     'compression': String,
     'sha1': String,
-    'quiet': Boolean,
-    'storage': String
+    'storage': String,
+    'icon': String,
+    'add-channel': [String, Array],
+    'acl': [String, Array],
+    'quiet': Boolean
 };
-CLI.prototype.do_create.shortOpts = {
+CLI.prototype.do_publish.shortOpts = {
     'm': ['--manifest'],
     'f': ['--file'],
     'c': ['--compression'],
@@ -1392,6 +4093,20 @@ CLI.prototype.do_create.shortOpts = {
 };
 
 
+/**
+ * Parse the value of a 'key=value' CLI argument, as for `objFromKeyValueArgs`.
+ */
+function valueFromArg(v) {
+    if (v === '') {
+        return null;
+    }
+    try {
+        return JSON.parse(v);
+    } catch (e) {
+        return v;
+    }
+}
+
 /**
  * Transform an array of 'key=value' CLI arguments to an object.
  *
@@ -1418,19 +4133,11 @@ function objFromKeyValueArgs(args)
     args.forEach(function (arg) {
         var kv = strsplit(arg, '=', 2);
         if (kv.length < 2) {
-            throw new TypeError(format('invalid key=value argument: "%s"'));
+            throw new TypeError(format('invalid key=value argument: "%s"',
+                arg));
         }
 
-        var v = kv[1];
-        if (v === '') {
-            v = null;
-        } else {
-            try {
-                v = JSON.parse(v);
-            } catch (e) {
-                /* pass */
-            }
-        }
+        var v = valueFromArg(kv[1]);
 
         var k = kv[0];
         var dotted = strsplit(k, '.', 2);
@@ -1471,6 +4178,76 @@ function mergeImageAttributes(body, image) {
     });
 }
 
+CLI.prototype.do_validate = function do_validate(
+        subcmd, opts, args, callback) {
+    if (args.length < 1) {
+        return callback(new errors.UsageError('no manifest files given'));
+    }
+
+    var errs = [];
+    vasync.forEachPipeline({
+        inputs: args,
+        func: function validateOne(manifestPath, next) {
+            fs.readFile(manifestPath, 'utf8', function (err, data) {
+                if (err) {
+                    errs.push(err);
+                    return next();
+                }
+                var manifest;
+                try {
+                    manifest = JSON.parse(data);
+                } catch (syntaxErr) {
+                    errs.push(new errors.InvalidManifestDataError(syntaxErr));
+                    return next();
+                }
+                var validationErrs = validateManifest(manifest,
+                    {forImport: opts['import']});
+                if (validationErrs.length) {
+                    errs.push(new errors.ManifestValidationError(
+                        validationErrs, manifestPath));
+                } else if (!opts.quiet) {
+                    console.log('Manifest "%s" is valid', manifestPath);
+                }
+                next();
+            });
+        }
+    }, function () {
+        if (errs.length === 1) {
+            callback(errs[0]);
+        } else if (errs.length > 1) {
+            callback(new errors.MultiError(errs));
+        } else {
+            callback();
+        }
+    });
+};
+CLI.prototype.do_validate.description = (
+    'Validate image manifest files.\n' +
+    '\n' +
+    'This runs the same checks that `$NAME create`, `$NAME import` and\n' +
+    '`$NAME publish` do on a manifest before calling the IMGAPI: required\n' +
+    'fields, UUID formats, "os" and "type" values, the "requirements",\n' +
+    '"files" and "tags" fields, etc. Every violation is reported. The exit\n' +
+    'status is non-zero if any manifest is invalid.\n' +
+    '\n' +
+    'Usage:\n' +
+    '    $NAME validate [OPTIONS] MANIFEST-FILE...\n' +
+    '\n' +
+    'Options:\n' +
+    '    -h, --help         Show this help and exit.\n' +
+    '    --import           Validate for `$NAME import`, which also\n' +
+    '                       requires "uuid" and "owner".\n' +
+    '    -q, --quiet        Only print invalid manifests.\n'
+);
+CLI.prototype.do_validate.longOpts = {
+    'import': Boolean,
+    'quiet': Boolean
+};
+CLI.prototype.do_validate.shortOpts = {
+    'q': ['--quiet']
+};
+
+
 CLI.prototype.do_update = function do_update(subcmd, opts, args, callback) {
     var self = this;
     if (args.length === 0) {
@@ -1547,6 +4324,18 @@ CLI.prototype.do_update = function do_update(subcmd, opts, args, callback) {
 
             mergeImageAttributes(body, image);
 
+            if (self._dryRun) {
+                var validationErrs = validateUpdate(body, image);
+                if (validationErrs.length) {
+                    return callback(
+                        new errors.ManifestValidationError(validationErrs));
+                }
+                console.log('Would update image %s (%s, %s) with:', uuid,
+                    image.name, image.version);
+                console.log(JSON.stringify(body, null, 2));
+                return callback();
+            }
+
             self.client.updateImage(uuid, body, function (err2, image2, res2) {
                 self.log.trace({err: err2, image: image2, client_res: res2},
                     'UpdateImage');
@@ -1560,6 +4349,7 @@ CLI.prototype.do_update = function do_update(subcmd, opts, args, callback) {
         });
     });
 };
+CLI.prototype.do_update.supportsDryRun = true;
 CLI.prototype.do_update.description = (
     'Update an image.\n' +
     '\n' +
@@ -1628,6 +4418,24 @@ CLI.prototype.do_import = function do_import(subcmd, opts, args, callback) {
             }
         }
 
+        if (self._dryRun) {
+            var sourceClient;
+            try {
+                sourceClient = self._createSourceClient(url.format(purl));
+            } catch (clientErr) {
+                return callback(clientErr);
+            }
+            return sourceClient.getImage(uuid, function (err, image, res) {
+                sourceClient.close();
+                self.log.trace({err: err, image: image, client_res: res},
+                    'GetImage');
+                if (err) {
+                    return callback(self._errorFromClientError(err));
+                }
+                self._dryRunCreate('import', image, {}, callback);
+            });
+        }
+
         var importOpts = {};
 
         if (opts['skip-owner-check']) {
@@ -1659,7 +4467,7 @@ CLI.prototype.do_import = function do_import(subcmd, opts, args, callback) {
     function getManifestData(next) {
         if (opts.manifest) {
             fs.readFile(opts.manifest, 'utf8', next);
-        } else if (process.stdin.isTTY) {
+        } else if (process.stdin.isTTY || opts.file === '-') {
             next(new errors.UsageError('image import: no manifest given'));
         } else {
             var data = '';
@@ -1698,15 +4506,14 @@ CLI.prototype.do_import = function do_import(subcmd, opts, args, callback) {
         }
     }
 
-    getManifestData(function (err, data) {
-        if (err) {
-            return callback(err);
-        }
-        var manifest;
-        try {
-            manifest = JSON.parse(data);
-        } catch (syntaxErr) {
-            return callback(new errors.InvalidManifestDataError(syntaxErr));
+    /**
+     * Import the image from the (rendered) manifest and finish.
+     */
+    function importImage(manifest) {
+        var validationErrs = validateManifest(manifest, {forImport: true});
+        if (validationErrs.length) {
+            return callback(
+                new errors.ManifestValidationError(validationErrs));
         }
         if (!opts.compression && manifest.files && manifest.files[0] &&
             manifest.files[0].compression) {
@@ -1724,6 +4531,10 @@ CLI.prototype.do_import = function do_import(subcmd, opts, args, callback) {
                 return callback(fErr);
             }
 
+            if (self._dryRun) {
+                return self._dryRunCreate('import', manifest, opts, callback);
+            }
+
             var importOpts2 = {};
             if (opts['skip-owner-check']) {
                 importOpts2.skipOwnerCheck = true;
@@ -1752,8 +4563,27 @@ CLI.prototype.do_import = function do_import(subcmd, opts, args, callback) {
                 }
             });
         });
+    }
+
+    getManifestData(function (err, data) {
+        if (err) {
+            return callback(err);
+        }
+        var tmpl;
+        try {
+            tmpl = JSON.parse(data);
+        } catch (syntaxErr) {
+            return callback(new errors.InvalidManifestDataError(syntaxErr));
+        }
+        self._renderManifestTemplate(tmpl, opts, function (rErr, manifest) {
+            if (rErr) {
+                return callback(rErr);
+            }
+            importImage(manifest);
+        });
     });
 };
+CLI.prototype.do_import.supportsDryRun = true;
 CLI.prototype.do_import.description = (
     'Import an image. (Operator-only)\n' +
     '\n' +
@@ -1793,7 +4623,8 @@ CLI.prototype.do_import.description = (
     '    -f FILE            Also upload the given file and activate the image\n' +
     '    -c COMPRESSION     Specify the compression used for the image file.\n'+
     '                       One of "gzip", "bzip2", "xz" or "none". If not\n' +
-    '                       given, it is inferred from the file extension.\n' +
+    '                       given, it is detected from the file content.\n' +
+    '                       It is an error if it contradicts the content.\n' +
     '                       This option is not allowed for *source* URL\n' +
     '                       imports.\n' +
     '    -s SHA1            SHA-1 hash of the image file. If given, the\n' +
@@ -1806,6 +4637,10 @@ CLI.prototype.do_import.description = (
     '                       "local". This flag will only be relevant if the\n' +
     '                       -f option is passed.\n' +
     '    -q, --quiet        Disable upload progress bar.\n' +
+    '    --set KEY=VALUE    Set a manifest template variable. This option\n' +
+    '                       may be given more than once.\n' +
+    '    --vars FILE        JSON file of manifest template variables.\n' +
+    '                       See "$NAME help create" for manifest templates.\n' +
     '\n' +
     '    --skip-owner-check Skip the check that the "owner" UUID exists in\n' +
     '                       the user database. This check is only done for\n' +
@@ -1821,7 +4656,9 @@ CLI.prototype.do_import.longOpts = {
     'channel': String,
     'skip-owner-check': Boolean,
     'quiet': Boolean,
-    'storage': String
+    'storage': String,
+    'set': [String, Array],
+    'vars': String
 };
 CLI.prototype.do_import.shortOpts = {
     'm': ['--manifest'],
@@ -1834,6 +4671,159 @@ CLI.prototype.do_import.shortOpts = {
 };
 
 
+CLI.prototype.do_sync = function do_sync(subcmd, opts, args, callback) {
+    var self = this;
+    if (!opts['source-url']) {
+        return callback(new errors.UsageError('no source URL given'));
+    }
+    var concurrency = (opts.concurrency === undefined ? 5 : opts.concurrency);
+    if (isNaN(concurrency) || concurrency < 1) {
+        return callback(new errors.UsageError(format(
+            'invalid concurrency: %s', opts.concurrency)));
+    }
+
+    var filter;
+    var sourceClient;
+    try {
+        filter = filters.parseFilterArgs(args);
+        sourceClient = self._createSourceClient(opts['source-url']);
+    } catch (argErr) {
+        return callback(argErr);
+    }
+
+    // The source URL for ImportRemoteImage, with the channel (if any).
+    var purl = url.parse(opts['source-url'], true);
+    if (purl.query.channel === undefined) {
+        purl.query.channel = '*';
+    }
+    delete purl.search;
+    var importSource = url.format(purl);
+
+    var imageFromUuid = {};
+    var localUuids = {};
+    var plan = [];
+
+    vasync.pipeline({funcs: [
+        function listSourceImages(_, next) {
+            var sourceImages = [];
+            self._listImagesPaged(sourceClient, filter.serverFilters, {},
+                    function onPage(images, nextPage) {
+                images.forEach(function (img) {
+                    if (filters.matchImage(filter, img)) {
+                        sourceImages.push(img);
+                    }
+                });
+                nextPage();
+            }, function (err) {
+                sourceImages.forEach(function (img) {
+                    imageFromUuid[img.uuid] = img;
+                });
+                next(err);
+            });
+        },
+
+        function listLocalImages(_, next) {
+            var listOpts = {};
+            if (self.features.channels) {
+                // An image in any channel need not be imported.
+                listOpts.channel = '*';
+            }
+            self._listImagesPaged(self.client, {state: 'all'}, listOpts,
+                    function onPage(images, nextPage) {
+                images.forEach(function (img) {
+                    localUuids[img.uuid] = true;
+                });
+                nextPage();
+            }, next);
+        },
+
+        /*
+         * Incremental images can only be imported after their origin, so
+         * missing origins are also imported.
+         */
+        function getMissingOrigins(_, next) {
+            var missing = Object.keys(imageFromUuid).filter(function (uuid) {
+                return !localUuids[uuid];
+            }).map(function (uuid) {
+                return imageFromUuid[uuid];
+            });
+            Object.keys(localUuids).forEach(function (uuid) {
+                if (imageFromUuid[uuid] === undefined) {
+                    imageFromUuid[uuid] = null;
+                }
+            });
+            self._getOriginImages(sourceClient, missing, imageFromUuid, next);
+        },
+
+        function planImports(_, next) {
+            Object.keys(imageFromUuid).forEach(function (uuid) {
+                if (imageFromUuid[uuid] && !localUuids[uuid]) {
+                    plan.push(imageFromUuid[uuid]);
+                }
+            });
+            tabula.sortArrayOfObjects(plan, ['published_at', 'uuid']);
+            next();
+        }
+    ]}, function (err) {
+        sourceClient.close();
+        if (err) {
+            return callback(err);
+        } else if (self._dryRun) {
+            plan.forEach(function (image) {
+                console.log('Would import image %s (%s, %s)', image.uuid,
+                    image.name, image.version);
+            });
+            console.log('Would import %d image%s from %s', plan.length,
+                (plan.length === 1 ? '' : 's'), opts['source-url']);
+            return callback();
+        }
+        self._importImages(plan, importSource, {
+            concurrency: concurrency,
+            skipOwnerCheck: opts['skip-owner-check']
+        }, callback);
+    });
+};
+CLI.prototype.do_sync.supportsDryRun = true;
+CLI.prototype.do_sync.description = (
+    'Import the images of a remote IMGAPI that are missing here.\n' +
+    '(Operator-only)\n' +
+    '\n' +
+    'The images of the source IMGAPI repository that match the given\n' +
+    'filters (see "$NAME help list") and are not in this IMGAPI are\n' +
+    'imported, as with "$NAME import -S SOURCE-URL UUID". Missing origin\n' +
+    'images of incremental images are also imported, before their\n' +
+    'children.\n' +
+    '\n' +
+    'Usage:\n' +
+    '    $NAME sync -S SOURCE-URL [OPTIONS] [FILTERS...]\n' +
+    '\n' +
+    'Options:\n' +
+    '    -h, --help         Show this help and exit.\n' +
+    '    -S SOURCE-URL      URL of the remote IMGAPI repository source,\n' +
+    '                       e.g. https://updates.tritondatacenter.com. All\n' +
+    '                       channels are examined, unless the URL has a\n' +
+    '                       "?channel=NAME" query param.\n' +
+    '    --dry-run          (A global option.) Only print the images that\n' +
+    '                       would be imported.\n' +
+    '    --concurrency NUM  Number of images to import at a time. Default\n' +
+    '                       is 5.\n' +
+    '    --skip-owner-check Skip the check that the "owner" UUID exists in\n' +
+    '                       the user database. See "$NAME help import".\n' +
+    '\n' +
+    'Examples:\n' +
+    '    $NAME sync -S https://updates.tritondatacenter.com \\\n' +
+    '        --dry-run name=~/^sdc-/ published_at>2025-01-01\n'
+);
+CLI.prototype.do_sync.longOpts = {
+    'source-url': String,
+    'concurrency': Number,
+    'skip-owner-check': Boolean
+};
+CLI.prototype.do_sync.shortOpts = {
+    'S': ['--source-url']
+};
+
+
 CLI.prototype.do_add_file = function do_add_file(subcmd, opts, args, callback) {
     var self = this;
     if (args.length !== 1) {
@@ -1847,6 +4837,46 @@ CLI.prototype.do_add_file = function do_add_file(subcmd, opts, args, callback) {
         return callback(new errors.UsageError(
             'no image file path or url given'));
     }
+    var limitRate;
+    try {
+        limitRate = limitRateFromOpts(opts);
+    } catch (rateErr) {
+        return callback(rateErr);
+    }
+
+    // `-f -`: the file data is on stdin.
+    var fromStdin = (opts.file === '-');
+    var stdinSize;
+    if (fromStdin && process.stdin.isTTY) {
+        return callback(new errors.UsageError(
+            'no image file data on stdin for "-f -"'));
+    } else if (opts.size !== undefined) {
+        stdinSize = common.parseSize(opts.size);
+        if (!fromStdin) {
+            return callback(new errors.UsageError(
+                '"--size" is only supported with "-f -"'));
+        } else if (isNaN(stdinSize) || stdinSize <= 0) {
+            return callback(new errors.UsageError(format(
+                'invalid --size "%s": must be a size in bytes', opts.size)));
+        }
+    }
+    var spoolPath = null;
+
+    /*
+     * Remove the stdin spool file, if any, and finish.
+     */
+    function finish(err) {
+        if (!spoolPath) {
+            return callback(err);
+        }
+        fs.unlink(spoolPath, function (unlinkErr) {
+            if (unlinkErr) {
+                self.log.debug({err: unlinkErr, spoolPath: spoolPath},
+                    'could not remove spool file');
+            }
+            callback(err);
+        });
+    }
 
     if (/^https?:\/\//i.test(opts.file)) {
         var ufopts = {
@@ -1883,6 +4913,35 @@ CLI.prototype.do_add_file = function do_add_file(subcmd, opts, args, callback) {
         ensureAddFileOpts(opts, function (fErr) {
             if (fErr)
                 return next(fErr);
+            if (fromStdin && stdinSize !== undefined) {
+                // Stream stdin, detecting the compression from its start.
+                return detectStdinCompression(function (err, detected) {
+                    if (!err) {
+                        err = setDetectedCompression(opts, detected);
+                    }
+                    next(err, {size: stdinSize, compression: opts.compression});
+                });
+            } else if (fromStdin) {
+                return spoolStdin(function (spoolErr, filePath) {
+                    if (spoolErr)
+                        return next(spoolErr);
+                    spoolPath = filePath;
+                    compression.detectFileCompression(spoolPath,
+                            function (err, detected) {
+                        if (!err) {
+                            err = setDetectedCompression(opts, detected);
+                        }
+                        if (err)
+                            return next(err);
+                        fs.stat(spoolPath, function (statErr, stats) {
+                            if (statErr)
+                                return next(statErr);
+                            stats.compression = opts.compression;
+                            next(null, stats);
+                        });
+                    });
+                });
+            }
             fs.stat(opts.file, function (statErr, stats) {
                 if (statErr)
                     return next(statErr);
@@ -1894,10 +4953,18 @@ CLI.prototype.do_add_file = function do_add_file(subcmd, opts, args, callback) {
 
     getFileInfo(function (infoErr, info) {
         if (infoErr) {
-            return callback(infoErr);
+            return finish(infoErr);
         }
 
-        var stream = fs.createReadStream(opts.file);
+        var input;
+        if (spoolPath) {
+            input = fs.createReadStream(spoolPath);
+        } else if (fromStdin) {
+            input = process.stdin;
+        } else {
+            input = fs.createReadStream(opts.file);
+        }
+        var stream = throttle(input, limitRate);
         imgapi.pauseStream(stream);
 
         var bar;
@@ -1936,7 +5003,7 @@ CLI.prototype.do_add_file = function do_add_file(subcmd, opts, args, callback) {
             if (err) {
                 if (bar)
                     bar.end();
-                return callback(self._errorFromClientError(err));
+                return finish(self._errorFromClientError(err));
             }
 
             console.log('Added file "%s" (compression "%s") to image %s',
@@ -1946,19 +5013,19 @@ CLI.prototype.do_add_file = function do_add_file(subcmd, opts, args, callback) {
             if (sha1Hash) {
                 var expectedSha1 = sha1Hash.digest('hex');
                 if (expectedSha1 !== image.files[0].sha1) {
-                    return callback(new errors.UploadError(format(
+                    return finish(new errors.UploadError(format(
                         'sha1 expected to be %s, but was %s',
                         expectedSha1, image.files[0].sha1)));
                 }
             }
             var expectedSize = info.size;
             if (expectedSize !== image.files[0].size) {
-                return callback(new errors.UploadError(format(
+                return finish(new errors.UploadError(format(
                     'size expected to be %s, but was %s',
                     expectedSize, image.files[0].size)));
             }
 
-            callback();
+            finish();
         });
     });
 };
@@ -1973,11 +5040,17 @@ CLI.prototype.do_add_file.description = (
     '\n' +
     'Options:\n' +
     '    -f FILE-OR-URL     Image file to add, either a path or a HTTPS url\n' +
-    '                       to the file to add\n' +
+    '                       to the file to add. Use "-" to read the file\n' +
+    '                       from stdin, which is spooled to a temporary\n' +
+    '                       file (to get its size) unless "--size" is\n' +
+    '                       given.\n' +
+    '    --size SIZE        The size in bytes of the file on stdin, to\n' +
+    '                       upload it as it is read.\n' +
     '    -c COMPRESSION     Specify the compression used for the image file.\n'+
     '                       One of "gzip", "bzip2", "xz", or "none". If not\n' +
-    '                       given, it may be inferred from common file\n' +
-    '                       extensions.\n' +
+    '                       given, it is detected from the file content\n' +
+    '                       (or by the server for a URL). It is an error\n' +
+    '                       if it contradicts the content.\n' +
     '    -s SHA1            SHA-1 hash of the image file. If given, the\n' +
     '                       server will use it compare it with the uploaded\n' +
     '                       file SHA-1\n' +
@@ -1985,14 +5058,22 @@ CLI.prototype.do_add_file.description = (
     '                       file. Can be "local" or "manta". Will try to\n' +
     '                       default to "manta" when available, otherwise\n' +
     '                       "local"\n' +
-    '    -q, --quiet        Disable progress bar.\n'
+    '    -q, --quiet        Disable progress bar.\n' +
+    '    --limit-rate RATE  Limit the upload rate to RATE bytes per second.\n' +
+    '                       RATE may have a K, M or G suffix, e.g. "20M".\n' +
+    '                       Not used when adding from a URL.\n' +
+    '\n' +
+    'Examples:\n' +
+    '    zfs send zones/UUID@final | gzip | $NAME add-file UUID -f -\n'
 );
 CLI.prototype.do_add_file.longOpts = {
     'file': String,
     'compression': String,
+    'limit-rate': String,
     'sha1': String,
     'quiet': Boolean,
-    'storage': String
+    'storage': String,
+    'size': String
 };
 CLI.prototype.do_add_file.shortOpts = {
     'f': ['--file'],
@@ -2014,6 +5095,12 @@ CLI.prototype.do_add_icon = function do_add_icon(subcmd, opts, args, callback) {
     if (!opts.file) {
         return callback(new errors.UsageError('no icon file path given'));
     }
+    var limitRate;
+    try {
+        limitRate = limitRateFromOpts(opts);
+    } catch (rateErr) {
+        return callback(rateErr);
+    }
 
     function getFileInfo(next) {
         ensureAddIconOpts(opts, function (fErr) {
@@ -2032,7 +5119,7 @@ CLI.prototype.do_add_icon = function do_add_icon(subcmd, opts, args, callback) {
             return callback(infoErr);
         }
 
-        var stream = fs.createReadStream(opts.file);
+        var stream = throttle(fs.createReadStream(opts.file), limitRate);
         imgapi.pauseStream(stream);
 
         var bar;
@@ -2099,11 +5186,14 @@ CLI.prototype.do_add_icon.description = (
     '                       file. Can be "local" or "manta". Will try to\n' +
     '                       default to "manta" when available, otherwise\n' +
     '                       "local"\n' +
-    '    -q, --quiet        Disable progress bar.\n'
+    '    -q, --quiet        Disable progress bar.\n' +
+    '    --limit-rate RATE  Limit the upload rate to RATE bytes per second.\n' +
+    '                       RATE may have a K, M or G suffix, e.g. "20M".\n'
 );
 CLI.prototype.do_add_icon.longOpts = {
     'file': String,
     'contentType': String,
+    'limit-rate': String,
     'sha1': String,
     'quiet': Boolean,
     'storage': String
@@ -2126,6 +5216,18 @@ function do_delete_icon(subcmd, opts, args, callback) {
     var uuid = args[0];
     assert.uuid(uuid, 'uuid');
 
+    if (self._dryRun) {
+        return self._dryRunGetImage(uuid, function (err, image) {
+            if (err) {
+                return callback(err);
+            }
+            console.log('Would delete icon from image %s (%s, %s)%s', uuid,
+                image.name, image.version,
+                (image.icon ? '' : ': it has no icon'));
+            callback();
+        });
+    }
+
     self.client.deleteImageIcon(uuid, function (err, image, res) {
         self.log.trace({err: err, image: image, client_res: res},
             'DeleteImageIcon');
@@ -2137,6 +5239,7 @@ function do_delete_icon(subcmd, opts, args, callback) {
         callback();
     });
 };
+CLI.prototype.do_delete_icon.supportsDryRun = true;
 CLI.prototype.do_delete_icon.description = (
     'Delete the image icon.\n' +
     '\n' +
@@ -2208,6 +5311,23 @@ CLI.prototype.do_activate = function do_activate(subcmd, opts, args, callback) {
     var uuid = args[0];
     assert.uuid(uuid, 'uuid');
 
+    if (self._dryRun) {
+        return self._dryRunGetImage(uuid, function (err, image) {
+            if (err) {
+                return callback(err);
+            } else if (image.state !== 'unactivated') {
+                return callback(new errors.DryRunError(format(
+                    'image %s is already activated', uuid)));
+            } else if (!image.files || image.files.length === 0) {
+                return callback(new errors.DryRunError(format(
+                    'image %s has no file', uuid)));
+            }
+            console.log('Would activate image %s (%s, %s)', uuid, image.name,
+                image.version);
+            callback();
+        });
+    }
+
     self.client.activateImage(uuid, function (err, image, res) {
         self.log.trace({err: err, image: image, client_res: res},
             'ActivateImage');
@@ -2218,6 +5338,7 @@ CLI.prototype.do_activate = function do_activate(subcmd, opts, args, callback) {
         callback();
     });
 };
+CLI.prototype.do_activate.supportsDryRun = true;
 CLI.prototype.do_activate.description = (
     'Activate an image.\n' +
     '\n' +
@@ -2240,6 +5361,18 @@ CLI.prototype.do_disable = function do_disable(subcmd, opts, args, callback) {
     var uuid = args[0];
     assert.uuid(uuid, 'uuid');
 
+    if (self._dryRun) {
+        return self._dryRunGetImage(uuid, function (err, image) {
+            if (err) {
+                return callback(err);
+            }
+            console.log('Would disable image %s (%s, %s)%s', uuid,
+                image.name, image.version,
+                (image.disabled ? ': it is already disabled' : ''));
+            callback();
+        });
+    }
+
     self.client.disableImage(uuid, function (err, image, res) {
         self.log.trace({err: err, image: image, client_res: res},
             'DisableImage');
@@ -2251,6 +5384,7 @@ CLI.prototype.do_disable = function do_disable(subcmd, opts, args, callback) {
         callback();
     });
 };
+CLI.prototype.do_disable.supportsDryRun = true;
 CLI.prototype.do_disable.description = (
     'Disable an image.\n' +
     '\n' +
@@ -2273,6 +5407,18 @@ CLI.prototype.do_enable = function do_enable(subcmd, opts, args, callback) {
     var uuid = args[0];
     assert.uuid(uuid, 'uuid');
 
+    if (self._dryRun) {
+        return self._dryRunGetImage(uuid, function (err, image) {
+            if (err) {
+                return callback(err);
+            }
+            console.log('Would enable image %s (%s, %s)%s', uuid,
+                image.name, image.version,
+                (image.disabled ? '' : ': it is already enabled'));
+            callback();
+        });
+    }
+
     self.client.enableImage(uuid, function (err, image, res) {
         self.log.trace({err: err, image: image, client_res: res},
             'EnableImage');
@@ -2284,6 +5430,7 @@ CLI.prototype.do_enable = function do_enable(subcmd, opts, args, callback) {
         callback();
     });
 };
+CLI.prototype.do_enable.supportsDryRun = true;
 CLI.prototype.do_enable.description = (
     'Enable an image.\n' +
     '\n' +
@@ -2312,6 +5459,28 @@ CLI.prototype.do_add_acl = function do_add_acl(subcmd, opts, args, callback) {
     }
     var acl = args;
 
+    if (self._dryRun) {
+        return self._dryRunGetImage(uuid, function (err, image) {
+            if (err) {
+                return callback(err);
+            }
+            var newAcl = (image.acl || []).slice();
+            acl.forEach(function (account) {
+                if (newAcl.indexOf(account) === -1) {
+                    newAcl.push(account);
+                }
+            });
+            var validationErrs = validateUpdate({acl: newAcl}, image);
+            if (validationErrs.length) {
+                return callback(
+                    new errors.ManifestValidationError(validationErrs));
+            }
+            console.log('Would update ACL for image %s to: %s', uuid,
+                newAcl.join(', '));
+            callback();
+        });
+    }
+
     self.client.addImageAcl(uuid, acl, function (err, image, res) {
         self.log.trace({err: err, image: image, client_res: res},
             'AddImageAcl');
@@ -2323,6 +5492,7 @@ CLI.prototype.do_add_acl = function do_add_acl(subcmd, opts, args, callback) {
         callback();
     });
 };
+CLI.prototype.do_add_acl.supportsDryRun = true;
 CLI.prototype.do_add_acl.description = (
     'Add account UUIDs to the image ACL.\n' +
     '\n' +
@@ -2348,6 +5518,20 @@ function do_remove_acl(subcmd, opts, args, callback) {
     }
     var acl = args;
 
+    if (self._dryRun) {
+        return self._dryRunGetImage(uuid, function (err, image) {
+            if (err) {
+                return callback(err);
+            }
+            var newAcl = (image.acl || []).filter(function (account) {
+                return acl.indexOf(account) === -1;
+            });
+            console.log('Would update ACL for image %s to: %s', uuid,
+                (newAcl.length ? newAcl.join(', ') : '(empty)'));
+            callback();
+        });
+    }
+
     self.client.removeImageAcl(uuid, acl, function (err, image, res) {
         self.log.trace({err: err, image: image, client_res: res},
             'RemoveImageAcl');
@@ -2358,6 +5542,7 @@ function do_remove_acl(subcmd, opts, args, callback) {
         callback();
     });
 };
+CLI.prototype.do_remove_acl.supportsDryRun = true;
 CLI.prototype.do_remove_acl.description = (
     'Remove account UUIDs from the image ACL.\n' +
     '\n' +
@@ -2371,6 +5556,12 @@ CLI.prototype.do_channels = function do_channels(subcmd, opts, args, cb) {
     if (args.length !== 0) {
         return cb(new errors.UsageError('too many arguments'));
     }
+    var outputFormat;
+    try {
+        outputFormat = outputFormatFromOpts(opts);
+    } catch (fmtErr) {
+        return cb(fmtErr);
+    }
 
     self.client.listChannels({}, function (err, channels, res, req) {
         self.log.trace({err: err, channels: channels,
@@ -2378,16 +5569,33 @@ CLI.prototype.do_channels = function do_channels(subcmd, opts, args, cb) {
         if (err) {
             return cb(self._errorFromClientError(err));
         }
-        if (opts.json) {
+        var allColumns = ['name', 'default', 'description'];
+        /*JSSTYLED*/
+        var columns = (opts.output ? opts.output.split(/,/g) : allColumns);
+        if (outputFormat === 'json') {
             console.log(JSON.stringify(channels, null, 2));
-        } else {
-            var allColumns = ['name', 'default', 'description'];
+        } else if (outputFormat === 'ndjson') {
+            channels.forEach(function (channel) {
+                console.log(JSON.stringify(channel));
+            });
+        } else if (outputFormat === 'table') {
             tabula(channels, {
                 skipHeader: opts.skipHeader,
-                /*JSSTYLED*/
-                columns: (opts.output ? opts.output.split(/,/g) : allColumns),
+                columns: columns,
                 validFields: allColumns
             });
+        } else {
+            for (var i = 0; i < columns.length; i++) {
+                if (allColumns.indexOf(columns[i]) === -1) {
+                    return cb(new errors.UsageError(format(
+                        'invalid output field: "%s"', columns[i])));
+                }
+            }
+            common.printDelimited(channels, {
+                format: outputFormat,
+                columns: columns,
+                skipHeader: opts.skipHeader
+            });
         }
         cb();
     });
@@ -2400,11 +5608,14 @@ CLI.prototype.do_channels.description = (
     '\n' +
     'Options:\n' +
     '    -j, --json         JSON output\n' +
+    '    --format FORMAT    Output format: table (the default), json,\n' +
+    '                       ndjson (one JSON object per line), csv or tsv.\n' +
     '    -H                 Do not print table header row\n' +
     '    -o field1,...      Specify fields (columns) to output.\n'
 );
 CLI.prototype.do_channels.longOpts = {
     'json': Boolean,
+    'format': String,
     'skipHeader': Boolean,
     'output': String
 };
@@ -2424,6 +5635,52 @@ CLI.prototype.do_channel_add = function do_channel_add(subcmd, opts, args, cb) {
     var channel = args[0];
     var uuids = args.slice(1);
     var errs = [];
+
+    if (self._dryRun) {
+        return self.client.listChannels({}, function (err, channels, res) {
+            self.log.trace({err: err, channels: channels, client_res: res},
+                'ListChannels');
+            if (err) {
+                return cb(self._errorFromClientError(err));
+            }
+            var names = channels.map(function (ch) { return ch.name; });
+            if (names.indexOf(channel) === -1) {
+                return cb(new errors.DryRunError(format(
+                    'unknown channel "%s": must be one of %s', channel,
+                    names.join(', '))));
+            }
+            vasync.forEachParallel({
+                inputs: uuids,
+                func: function dryRunChannelAddOne(uuid, next) {
+                    self._dryRunGetImage(uuid, function (getErr, img) {
+                        if (getErr) {
+                            errs.push(getErr);
+                        } else if (img.channels &&
+                            img.channels.indexOf(channel) !== -1)
+                        {
+                            console.log('Image %s (%s@%s) is already in ' +
+                                '"%s" channel', uuid, img.name, img.version,
+                                channel);
+                        } else {
+                            console.log('Would add image %s (%s@%s) to ' +
+                                '"%s" channel', uuid, img.name, img.version,
+                                channel);
+                        }
+                        next();
+                    });
+                }
+            }, function finish() {
+                if (errs.length === 1) {
+                    cb(errs[0]);
+                } else if (errs.length > 1) {
+                    cb(new errors.MultiError(errs));
+                } else {
+                    cb();
+                }
+            });
+        });
+    }
+
     vasync.forEachParallel({
         inputs: uuids,
         func: function channelAddOne(uuid, next) {
@@ -2457,6 +5714,7 @@ CLI.prototype.do_channel_add = function do_channel_add(subcmd, opts, args, cb) {
         }
     });
 };
+CLI.prototype.do_channel_add.supportsDryRun = true;
 CLI.prototype.do_channel_add.description = (
     'Add an image (or images) to the given channel.\n'+
     '\n' +
@@ -2482,6 +5740,20 @@ CLI.prototype.do_change_stor = function do_change_stor(subcmd, opts, args, cb) {
     vasync.forEachParallel({
         inputs: uuids,
         func: function changeStorOne(uuid, next) {
+            if (self._dryRun) {
+                return self._dryRunGetImage(uuid, {inclAdminFields: true},
+                        function (err, img) {
+                    if (err) {
+                        errs.push(err);
+                    } else {
+                        console.log('Would change image %s (%s@%s) stor ' +
+                            'from "%s" to "%s"', uuid, img.name, img.version,
+                            (img.files && img.files[0] && img.files[0].stor),
+                            stor);
+                    }
+                    next();
+                });
+            }
             var chOpts = {
                 uuid: uuid,
                 stor: stor
@@ -2512,6 +5784,7 @@ CLI.prototype.do_change_stor = function do_change_stor(subcmd, opts, args, cb) {
         }
     });
 };
+CLI.prototype.do_change_stor.supportsDryRun = true;
 CLI.prototype.do_change_stor.description = (
     'Change the backing storage for the given images\' files.\n' +
     'This is intended for operators-only.\n' +
@@ -6,12 +6,16 @@
 
 /*
  * Copyright (c) 2014, Joyent, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
  */
 
 /*
  * Dump for shared imgapi-cli stuff that doesn't fit in another source file.
  */
 
+var crypto = require('crypto');
+var fs = require('fs');
+
 
 function getVersion() {
     return require('../package.json').version;
@@ -75,6 +79,40 @@ function getPassword(prompt, callback) {
 }
 
 
+/**
+ * Get the SHA-1 and size of a file.
+ *
+ * @param filePath {String}
+ * @param callback {Function} `function (err, {sha1: <sha1>, size: <size>})`
+ */
+function hashFile(filePath, callback) {
+    var hash = crypto.createHash('sha1');
+    var size = 0;
+    var stream = fs.createReadStream(filePath);
+    stream.on('data', function (chunk) {
+        hash.update(chunk);
+        size += chunk.length;
+    });
+    stream.on('error', callback);
+    stream.on('end', function () {
+        callback(null, {sha1: hash.digest('hex'), size: size});
+    });
+}
+
+
+/**
+ * Generate a random (version 4) UUID.
+ */
+function randomUuid() {
+    var b = crypto.randomBytes(16);
+    b[6] = (b[6] & 0x0f) | 0x40;
+    b[8] = (b[8] & 0x3f) | 0x80;
+    var hex = b.toString('hex');
+    return [hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16),
+        hex.slice(16, 20), hex.slice(20)].join('-');
+}
+
+
 function objCopy(obj) {
     var copy = {};
     Object.keys(obj).forEach(function (k) {
@@ -84,6 +122,149 @@ function objCopy(obj) {
 }
 
 
+/**
+ * Lookup a dotted path (e.g. "tags.role" or "files.0.size") in the given
+ * object. Returns undefined if any part of the path is missing.
+ */
+function lookupPath(obj, path) {
+    var parts = path.split('.');
+    var o = obj;
+    for (var i = 0; i < parts.length; i++) {
+        if (o === null || typeof (o) !== 'object' ||
+            !Object.prototype.hasOwnProperty.call(o, parts[i]))
+        {
+            return undefined;
+        }
+        o = o[parts[i]];
+    }
+    return o;
+}
+
+
+/**
+ * Parse a size string with an optional binary suffix, e.g. "512", "20M",
+ * "1.5G" or "2TB", into a number of bytes. Returns NaN if the string isn't
+ * a valid size.
+ */
+function parseSize(str) {
+    var SIZE_MULTIPLIERS = {
+        '': 1,
+        'k': 1024,
+        'm': 1024 * 1024,
+        'g': 1024 * 1024 * 1024,
+        't': 1024 * 1024 * 1024 * 1024
+    };
+    var match = /^(\d+(?:\.\d+)?)\s*([kmgt]?)b?$/i.exec(String(str).trim());
+    if (!match) {
+        return NaN;
+    }
+    return Math.round(
+        Number(match[1]) * SIZE_MULTIPLIERS[match[2].toLowerCase()]);
+}
+
+
+/**
+ * Parse a duration string, e.g. "30s", "15m", "12h", "7d", "2w" or "1y", into
+ * a number of milliseconds. Returns NaN if the string isn't a valid duration.
+ */
+function parseDuration(str) {
+    var DURATION_MS = {
+        's': 1000,
+        'm': 60 * 1000,
+        'h': 60 * 60 * 1000,
+        'd': 24 * 60 * 60 * 1000,
+        'w': 7 * 24 * 60 * 60 * 1000,
+        'y': 365 * 24 * 60 * 60 * 1000
+    };
+    var match = /^(\d+)\s*([smhdwy])$/.exec(String(str).trim());
+    if (!match) {
+        return NaN;
+    }
+    return Number(match[1]) * DURATION_MS[match[2]];
+}
+
+
+/**
+ * Return a short string for the time elapsed since `when`, e.g. "5m", "3d" or
+ * "2y".
+ *
+ * @param when {Date}
+ * @param now {Number} Optional. Current time in ms since the epoch.
+ */
+function longAgo(when, now) {
+    if (now === undefined) {
+        now = Date.now();
+    }
+    var seconds = Math.max(0, Math.round((now - when.getTime()) / 1000));
+    var units = [
+        ['y', 365 * 24 * 60 * 60],
+        ['w', 7 * 24 * 60 * 60],
+        ['d', 24 * 60 * 60],
+        ['h', 60 * 60],
+        ['m', 60]
+    ];
+    for (var i = 0; i < units.length; i++) {
+        if (seconds >= units[i][1]) {
+            return Math.floor(seconds / units[i][1]) + units[i][0];
+        }
+    }
+    return seconds + 's';
+}
+
+
+/*
+ * Return the given value as a CSV or TSV cell.
+ */
+function delimitedCell(value, format) {
+    var cell;
+    if (value === undefined || value === null) {
+        cell = '';
+    } else if (typeof (value) === 'object') {
+        cell = JSON.stringify(value);
+    } else {
+        cell = String(value);
+    }
+
+    if (format === 'tsv') {
+        return cell.replace(/\\/g, '\\\\').replace(/\t/g, '\\t')
+            .replace(/\n/g, '\\n').replace(/\r/g, '\\r');
+    } else if (/[",\r\n]/.test(cell)) {
+        return '"' + cell.replace(/"/g, '""') + '"';
+    }
+    return cell;
+}
+
+
+/**
+ * Print the given rows to stdout as CSV (quoted per RFC 4180) or TSV (tabs,
+ * newlines and backslashes in values are backslash-escaped). Object values
+ * are printed as JSON.
+ *
+ * @param rows {Array} The row objects.
+ * @param opts {Object}
+ *      - format {String} "csv" or "tsv".
+ *      - columns {Array} The row fields to print.
+ *      - skipHeader {Boolean} Optional. Do not print the header line.
+ */
+function printDelimited(rows, opts) {
+    var sep = (opts.format === 'tsv' ? '\t' : ',');
+    var lines = [];
+    if (!opts.skipHeader) {
+        lines.push(opts.columns.map(function (col) {
+            return delimitedCell(col, opts.format);
+        }).join(sep));
+    }
+    rows.forEach(function (row) {
+        lines.push(opts.columns.map(function (col) {
+            return delimitedCell(row[col], opts.format);
+        }).join(sep));
+    });
+    if (lines.length) {
+        console.log(lines.join('\n'));
+    }
+}
+
+
 /*
  * Set the process exit code, only using `process.exit` if necessary.
  *
@@ -119,6 +300,13 @@ function softProcessExit(code) {
 module.exports = {
     getVersion: getVersion,
     getPassword: getPassword,
+    hashFile: hashFile,
+    randomUuid: randomUuid,
     objCopy: objCopy,
+    lookupPath: lookupPath,
+    parseSize: parseSize,
+    parseDuration: parseDuration,
+    longAgo: longAgo,
+    printDelimited: printDelimited,
     softProcessExit: softProcessExit
 };
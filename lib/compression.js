@@ -0,0 +1,163 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Support for the image file compressions: "gzip", "bzip2", "xz" and "none".
+ */
+
+var assert = require('assert-plus');
+var child_process = require('child_process');
+var format = require('util').format;
+var fs = require('fs');
+var stream = require('stream');
+var zlib = require('zlib');
+
+
+//---- globals
+
+var COMPRESSIONS = ['bzip2', 'gzip', 'xz', 'none'];
+
+// Compressions without support in node core are decompressed by these.
+var DECOMPRESS_COMMANDS = {
+    'bzip2': 'bzip2',
+    'xz': 'xz'
+};
+
+// The "magic" bytes at the start of compressed data.
+var MAGIC_FROM_COMPRESSION = {
+    'bzip2': [0x42, 0x5a, 0x68],                    // "BZh"
+    'gzip': [0x1f, 0x8b],
+    'xz': [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00]      // "\xfd7zXZ\0"
+};
+var MAX_MAGIC_LENGTH = 6;
+
+
+
+//---- exported functions
+
+/**
+ * Return a readable stream of the decompressed data of the given input
+ * stream.
+ *
+ * "gzip" is decompressed with zlib. "bzip2" and "xz" are decompressed by the
+ * `bzip2` and `xz` commands, which must be on the PATH. The returned stream
+ * only ends after the command exits successfully, else it emits an error.
+ *
+ * @param input {Stream} The compressed data.
+ * @param compression {String} One of `COMPRESSIONS`.
+ * @returns {Stream}
+ */
+function decompressStream(input, compression) {
+    assert.object(input, 'input');
+    assert.string(compression, 'compression');
+
+    if (compression === 'none') {
+        return input;
+    } else if (compression === 'gzip') {
+        return input.pipe(zlib.createGunzip());
+    } else if (!DECOMPRESS_COMMANDS.hasOwnProperty(compression)) {
+        throw new Error(format('unknown compression: "%s"', compression));
+    }
+
+    var cmd = DECOMPRESS_COMMANDS[compression];
+    var output = new stream.PassThrough();
+    var child = child_process.spawn(cmd, ['-dc'],
+        {stdio: ['pipe', 'pipe', 'pipe']});
+    var stderr = '';
+    child.stderr.setEncoding('utf8');
+    child.stderr.on('data', function (chunk) {
+        stderr += chunk;
+    });
+    child.on('error', function (err) {
+        output.emit('error', new Error(format(
+            'could not run "%s" to decompress: %s', cmd, err.message)));
+    });
+    child.on('close', function (code) {
+        if (code !== 0) {
+            output.emit('error', new Error(format(
+                '"%s -dc" exited with status %s: %s', cmd, code,
+                stderr.trim())));
+        } else {
+            output.end();
+        }
+    });
+    // The input may end before the child has read it all.
+    child.stdin.on('error', function () {});
+    input.pipe(child.stdin);
+    child.stdout.pipe(output, {end: false});
+    return output;
+}
+
+
+
+/**
+ * Return the compression of the given data from its magic bytes: one of
+ * "bzip2", "gzip" or "xz"; else "none".
+ *
+ * @param buf {Buffer} The start of the data.
+ * @returns {String}
+ */
+function compressionFromMagic(buf) {
+    assert.ok(Buffer.isBuffer(buf), 'buf is a Buffer');
+
+    var compressions = Object.keys(MAGIC_FROM_COMPRESSION);
+    for (var i = 0; i < compressions.length; i++) {
+        var magic = MAGIC_FROM_COMPRESSION[compressions[i]];
+        if (buf.length < magic.length) {
+            continue;
+        }
+        var match = true;
+        for (var j = 0; j < magic.length; j++) {
+            if (buf[j] !== magic[j]) {
+                match = false;
+                break;
+            }
+        }
+        if (match) {
+            return compressions[i];
+        }
+    }
+    return 'none';
+}
+
+
+/**
+ * Determine the compression of a file from its content.
+ *
+ * @param filePath {String}
+ * @param callback {Function} `function (err, compression)`, where
+ *      `compression` is as for `compressionFromMagic`.
+ */
+function detectFileCompression(filePath, callback) {
+    assert.string(filePath, 'filePath');
+    assert.func(callback, 'callback');
+
+    var chunks = [];
+    var stream = fs.createReadStream(filePath,
+        {start: 0, end: MAX_MAGIC_LENGTH - 1});
+    stream.on('data', function (chunk) {
+        chunks.push(chunk);
+    });
+    stream.on('error', callback);
+    stream.on('end', function () {
+        callback(null, compressionFromMagic(Buffer.concat(chunks)));
+    });
+}
+
+
+
+//---- exports
+
+module.exports = {
+    COMPRESSIONS: COMPRESSIONS,
+    compressionFromMagic: compressionFromMagic,
+    decompressStream: decompressStream,
+    detectFileCompression: detectFileCompression
+};
@@ -0,0 +1,119 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Field-level diff of two image manifests, for `*-imgadm diff`.
+ */
+
+var assert = require('assert-plus');
+var format = require('util').format;
+
+
+//---- internal support stuff
+
+function isScalar(value) {
+    return (value === null || typeof (value) !== 'object');
+}
+
+
+function diffValues(path, a, b, changes) {
+    if (a === undefined && b === undefined) {
+        return;
+    } else if (a === undefined) {
+        changes.push({path: path, op: 'added', value: b});
+    } else if (b === undefined) {
+        changes.push({path: path, op: 'removed', value: a});
+    } else if (isScalar(a) || isScalar(b) ||
+        Array.isArray(a) !== Array.isArray(b))
+    {
+        if (a !== b) {
+            changes.push({path: path, op: 'changed', from: a, to: b});
+        }
+    } else if (Array.isArray(a) && a.concat(b).every(isScalar)) {
+        // Arrays of scalars (e.g. "acl" or "users") are compared as sets.
+        a.forEach(function (v) {
+            if (b.indexOf(v) === -1) {
+                changes.push({path: path, op: 'removed', value: v});
+            }
+        });
+        b.forEach(function (v) {
+            if (a.indexOf(v) === -1) {
+                changes.push({path: path, op: 'added', value: v});
+            }
+        });
+    } else {
+        // Objects, and arrays of objects (e.g. "files"), by key or index.
+        var keys = Object.keys(a);
+        Object.keys(b).forEach(function (k) {
+            if (keys.indexOf(k) === -1) {
+                keys.push(k);
+            }
+        });
+        if (!Array.isArray(a)) {
+            keys.sort();
+        }
+        keys.forEach(function (k) {
+            diffValues(path ? path + '.' + k : k, a[k], b[k], changes);
+        });
+    }
+}
+
+
+
+//---- exported functions
+
+/**
+ * Return the field-level differences from image manifest `a` to `b`.
+ *
+ * @param a {Object}
+ * @param b {Object}
+ * @returns {Array} of changes, each an object with:
+ *      - `path` {String} The dotted path of the field, e.g. "tags.role".
+ *      - `op` {String} One of "added", "removed" or "changed".
+ *      - `value` The added or removed value; or `from` and `to` for a
+ *        changed value.
+ *      An added or removed element of an array of scalars (e.g. "acl") is
+ *      reported as a change of the array's path.
+ */
+function diffManifests(a, b) {
+    assert.object(a, 'a');
+    assert.object(b, 'b');
+
+    var changes = [];
+    diffValues('', a, b, changes);
+    return changes;
+}
+
+
+/**
+ * Return a line of human-readable output for a change from `diffManifests`.
+ */
+function formatChange(change) {
+    switch (change.op) {
+    case 'added':
+        return format('+ %s: %s', change.path, JSON.stringify(change.value));
+    case 'removed':
+        return format('- %s: %s', change.path, JSON.stringify(change.value));
+    case 'changed':
+        return format('~ %s: %s -> %s', change.path,
+            JSON.stringify(change.from), JSON.stringify(change.to));
+    default:
+        throw new Error('unknown change op: ' + change.op);
+    }
+}
+
+
+
+//---- exports
+
+module.exports = {
+    diffManifests: diffManifests,
+    formatChange: formatChange
+};
@@ -6,7 +6,7 @@
 
 /*
  * Copyright 2014 Joyent, Inc.
- * Copyright 2022 MNX Cloud, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
  */
 
 /*
@@ -21,6 +21,25 @@ var WError = require('verror').WError;
 
 
 
+//---- internal support stuff
+
+/*
+ * Format the "errors" of a "ValidationFailed" error, one per line as
+ * "FIELD: CODE: MESSAGE".
+ */
+function formatFieldErrors(errs) {
+    var s = '';
+    errs.forEach(function (e) {
+        s += sprintf('\n    %s: %s', e.field, e.code);
+        if (e.message) {
+            s += ': ' + e.message;
+        }
+    });
+    return s;
+}
+
+
+
 //---- error classes
 
 /*
@@ -115,6 +134,25 @@ function InvalidManifestDataError(cause) {
 }
 util.inherits(InvalidManifestDataError, ImgapiCliError);
 
+/*
+ * A manifest that fails client-side validation. `errs` are the violations,
+ * in the same form as the "errors" of an IMGAPI "ValidationFailed" error.
+ * `source` optionally names the manifest file.
+ */
+function ManifestValidationError(errs, source) {
+    assert.arrayOfObject(errs, 'errs');
+    assert.optionalString(source, 'source');
+    var message = (source ? format('invalid manifest "%s"', source)
+        : 'invalid manifest');
+    ImgapiCliError.call(this, {
+        message: message + formatFieldErrors(errs),
+        code: 'ValidationFailed',
+        exitStatus: 1
+    });
+    this.errors = errs;
+}
+util.inherits(ManifestValidationError, ImgapiCliError);
+
 function UsageError(cause, message) {
     if (message === undefined) {
         message = cause;
@@ -184,12 +222,7 @@ function APIError(cause) {
     assert.string(cause.body.message, 'cause.body.message');
     var message = cause.body.message || '(no message)';
     if (cause.body.errors) {
-        cause.body.errors.forEach(function (e) {
-            message += sprintf('\n    %s: %s', e.field, e.code);
-            if (e.message) {
-                message += ': ' + e.message;
-            }
-        });
+        message += formatFieldErrors(cause.body.errors);
     }
     ImgapiCliError.call(this, {
         cause: cause,
@@ -203,6 +236,21 @@ APIError.description = 'An error from the IMGAPI http request.';
 util.inherits(APIError, ImgapiCliError);
 
 
+/*
+ * Listing images page by page can't get past a page of images that were all
+ * published at the same time.
+ */
+function PagingError(message) {
+    assert.string(message);
+    ImgapiCliError.call(this, {
+        message: message,
+        code: 'PagingFailed',
+        exitStatus: 1
+    });
+}
+util.inherits(PagingError, ImgapiCliError);
+
+
 function DownloadError(cause, message) {
     if (message === undefined) {
         message = cause;
@@ -235,6 +283,76 @@ function UploadError(cause, message) {
 util.inherits(UploadError, ImgapiCliError);
 
 
+function ImportError(cause, message) {
+    if (message === undefined) {
+        message = cause;
+        cause = undefined;
+    }
+    assert.optionalObject(cause);
+    assert.string(message);
+    ImgapiCliError.call(this, {
+        cause: cause,
+        message: message,
+        code: 'ImportError'
+    });
+}
+util.inherits(ImportError, ImgapiCliError);
+
+
+function OriginImageError(message) {
+    assert.string(message);
+    ImgapiCliError.call(this, {
+        message: message,
+        code: 'OriginImageError'
+    });
+}
+util.inherits(OriginImageError, ImgapiCliError);
+
+
+/*
+ * A `--dry-run` check showing that the real run would fail.
+ */
+function DryRunError(message) {
+    assert.string(message);
+    ImgapiCliError.call(this, {
+        message: message,
+        code: 'DryRunFailed',
+        exitStatus: 1
+    });
+}
+util.inherits(DryRunError, ImgapiCliError);
+
+
+/*
+ * `verify`: a local file doesn't match the image file.
+ */
+function VerifyMismatchError(message) {
+    assert.string(message);
+    ImgapiCliError.call(this, {
+        message: message,
+        code: 'VerifyMismatch',
+        exitStatus: 2
+    });
+}
+util.inherits(VerifyMismatchError, ImgapiCliError);
+
+
+/*
+ * `verify`: the local file to check doesn't exist.
+ */
+function FileNotFoundError(cause, filePath) {
+    assert.object(cause, 'cause');
+    assert.string(filePath, 'filePath');
+    ImgapiCliError.call(this, {
+        cause: cause,
+        message: format('file not found: "%s"', filePath),
+        code: 'FileNotFound',
+        exitStatus: 3
+    });
+}
+util.inherits(FileNotFoundError, ImgapiCliError);
+
+
 
 //---- exports
 
@@ -244,11 +362,18 @@ module.exports = {
     InternalError: InternalError,
     InvalidUUIDError: InvalidUUIDError,
     InvalidManifestDataError: InvalidManifestDataError,
+    ManifestValidationError: ManifestValidationError,
     UsageError: UsageError,
     UnknownOptionError: UnknownOptionError,
     UnknownCommandError: UnknownCommandError,
     ClientError: ClientError,
     APIError: APIError,
+    PagingError: PagingError,
     DownloadError: DownloadError,
-    UploadError: UploadError
+    UploadError: UploadError,
+    ImportError: ImportError,
+    OriginImageError: OriginImageError,
+    DryRunError: DryRunError,
+    VerifyMismatchError: VerifyMismatchError,
+    FileNotFoundError: FileNotFoundError
 };
@@ -0,0 +1,312 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Filter expressions for `*-imgadm list`.
+ *
+ * A filter expression is a list of CLI args. Each arg is a term of the form
+ * "[!]FIELD OP VALUE", where FIELD is a (possibly dotted) path into the
+ * image manifest, e.g. "tags.role" or "files.0.size". Terms are ANDed
+ * together. The "or" keyword separates groups of ANDed terms, i.e. AND binds
+ * more tightly than OR:
+ *
+ *      os=smartos name=~/^base/ or tags.role=lb
+ *
+ * Terms that the IMGAPI ListImages endpoint supports are passed through
+ * to the server ("pushed down"), the rest are evaluated client-side on the
+ * returned images.
+ */
+
+var assert = require('assert-plus');
+var format = require('util').format;
+
+var common = require('./common');
+var errors = require('./errors');
+
+
+//---- globals
+
+/*
+ * Manifest fields for which ListImages supports a "FIELD=VALUE" equality
+ * filter.
+ */
+var SERVER_FIELDS = ['account', 'owner', 'state', 'name', 'version',
+    'public', 'os', 'type'];
+
+/*
+ * Filter fields that only have meaning to the server, i.e. are not a field
+ * of the image manifest.
+ */
+var SERVER_ONLY_FIELDS = ['account'];
+
+/* ListImages filter names that are shorthand for a manifest field. */
+var FIELD_ALIASES = {
+    'billing_tag': 'billing_tags'
+};
+
+/* JSSTYLED */
+var TERM_RE = /^(!?)([^=!~<>]+)(!=|!~|=~|>=|<=|=|>|<)(.*)$/;
+var REGEX_VALUE_RE = /^\/(.*)\/([im]*)$/;
+var DATE_RE = /^\d{4}-\d{2}-\d{2}/;
+
+
+//---- internal support stuff
+
+function parseTerm(arg) {
+    var match = TERM_RE.exec(arg);
+    if (!match) {
+        throw new errors.UsageError(format('invalid filter: "%s" (must be ' +
+            'of the form "[!]FIELD OP VALUE")', arg));
+    }
+
+    var term = {
+        arg: arg,
+        negate: Boolean(match[1]),
+        field: match[2],
+        op: match[3],
+        value: match[4]
+    };
+
+    if (FIELD_ALIASES.hasOwnProperty(term.field)) {
+        term.field = FIELD_ALIASES[term.field];
+    } else if (term.field.slice(0, 4) === 'tag.') {
+        term.field = 'tags.' + term.field.slice(4);
+    }
+
+    // Normalize '!=' and '!~' to their positive op, negated.
+    if (term.op === '!=') {
+        term.op = '=';
+        term.negate = !term.negate;
+    } else if (term.op === '!~') {
+        term.op = '=~';
+        term.negate = !term.negate;
+    }
+
+    if (term.op === '=~') {
+        var reMatch = REGEX_VALUE_RE.exec(term.value);
+        if (reMatch) {
+            try {
+                term.regex = new RegExp(reMatch[1], reMatch[2]);
+            } catch (reErr) {
+                throw new errors.UsageError(reErr, format(
+                    'invalid regular expression in filter "%s": %s',
+                    arg, reErr.message));
+            }
+        }
+    }
+
+    return term;
+}
+
+
+/*
+ * Return the ListImages filter {name: ..., value: ...} equivalent to the
+ * given term, or null if the server doesn't support it.
+ */
+function serverFilterFromTerm(term) {
+    if (term.negate) {
+        return null;
+    } else if (term.op === '=' && SERVER_FIELDS.indexOf(term.field) !== -1) {
+        return {name: term.field, value: term.value};
+    } else if (term.op === '=' && term.field.slice(0, 5) === 'tags.') {
+        return {name: 'tag.' + term.field.slice(5), value: term.value};
+    } else if (term.op === '=~' && term.field === 'name' && !term.regex) {
+        return {name: 'name', value: '~' + term.value};
+    }
+    return null;
+}
+
+
+/*
+ * Compare a manifest value with a filter value. Numbers are compared
+ * numerically (the filter value may use a size suffix, e.g. "1G"), dates
+ * are compared as dates and anything else as strings.
+ *
+ * @returns {Number} <0, 0 or >0; or undefined if the values can't be
+ *      compared.
+ */
+function compareValues(actual, value) {
+    var a, b;
+    if (typeof (actual) === 'number') {
+        a = actual;
+        b = common.parseSize(value);
+        if (isNaN(b)) {
+            return undefined;
+        }
+    } else if (typeof (actual) === 'string' && DATE_RE.test(actual) &&
+        DATE_RE.test(value))
+    {
+        a = Date.parse(actual);
+        b = Date.parse(value);
+        if (isNaN(a) || isNaN(b)) {
+            return undefined;
+        }
+    } else {
+        a = String(actual);
+        b = value;
+    }
+    return (a < b ? -1 : (a > b ? 1 : 0));
+}
+
+
+function testValue(term, actual) {
+    if (actual === undefined || actual === null) {
+        return false;
+    } else if (Array.isArray(actual)) {
+        // E.g. "acl=UUID" matches if UUID is any of the elements.
+        return actual.some(function (a) { return testValue(term, a); });
+    }
+
+    var cmp;
+    switch (term.op) {
+    case '=':
+        if (typeof (actual) === 'number') {
+            return actual === common.parseSize(term.value);
+        }
+        return String(actual) === term.value;
+    case '=~':
+        if (term.regex) {
+            return term.regex.test(String(actual));
+        }
+        return String(actual).indexOf(term.value) !== -1;
+    case '>':
+        cmp = compareValues(actual, term.value);
+        return cmp !== undefined && cmp > 0;
+    case '>=':
+        cmp = compareValues(actual, term.value);
+        return cmp !== undefined && cmp >= 0;
+    case '<':
+        cmp = compareValues(actual, term.value);
+        return cmp !== undefined && cmp < 0;
+    case '<=':
+        cmp = compareValues(actual, term.value);
+        return cmp !== undefined && cmp <= 0;
+    default:
+        throw new Error('unknown filter op: ' + term.op);
+    }
+}
+
+
+function matchTerm(term, image) {
+    var result = testValue(term, common.lookupPath(image, term.field));
+    return (term.negate ? !result : result);
+}
+
+
+
+//---- exported functions
+
+/**
+ * Parse `list` filter args.
+ *
+ * @param args {Array} The filter args, e.g.
+ *      `['os=smartos', 'files.0.size>1G', 'or', 'tags.role=lb']`.
+ * @returns {Object} A filter object with:
+ *      - `serverFilters` {Object} ListImages filters to send to the server.
+ *      - `clientTerms` {Array} An array of arrays of terms (ORed groups of
+ *        ANDed terms) to evaluate client-side with `matchImage`. This is
+ *        null if there is nothing to evaluate client-side.
+ * @throws {UsageError} for an invalid filter expression.
+ */
+function parseFilterArgs(args) {
+    assert.arrayOfString(args, 'args');
+
+    var groups = [[]];
+    var i;
+    for (i = 0; i < args.length; i++) {
+        var keyword = args[i].toLowerCase();
+        var group = groups[groups.length - 1];
+        if (keyword === 'or' || keyword === 'and') {
+            if (group.length === 0) {
+                throw new errors.UsageError(format(
+                    'unexpected "%s" in filters: must follow a filter term',
+                    args[i]));
+            }
+            if (keyword === 'or') {
+                groups.push([]);
+            }
+        } else {
+            group.push(parseTerm(args[i]));
+        }
+    }
+    if (groups.length > 1 && groups[groups.length - 1].length === 0) {
+        throw new errors.UsageError(
+            'unexpected "or" at end of filters: must precede a filter term');
+    }
+
+    // With a single group of ANDed terms we can push down the terms the
+    // server supports.
+    var serverFilters = {};
+    var clientTerms = groups;
+    if (groups.length === 1) {
+        clientTerms = [[]];
+        groups[0].forEach(function (term) {
+            var sf = serverFilterFromTerm(term);
+            if (sf && !serverFilters.hasOwnProperty(sf.name)) {
+                serverFilters[sf.name] = sf.value;
+            } else {
+                clientTerms[0].push(term);
+            }
+        });
+    }
+
+    var needAllStates = false;
+    clientTerms.forEach(function (terms) {
+        terms.forEach(function (term) {
+            if (SERVER_ONLY_FIELDS.indexOf(term.field) !== -1 ||
+                (term.field === 'state' && term.value === 'all'))
+            {
+                throw new errors.UsageError(format('invalid filter: "%s" ' +
+                    '(only supported as a plain "FIELD=VALUE" filter ' +
+                    'without "or")', term.arg));
+            } else if (term.field === 'state') {
+                needAllStates = true;
+            }
+        });
+    });
+    // By default the server only returns active images, which would defeat
+    // client-side evaluation of "state" terms.
+    if (needAllStates && serverFilters.state === undefined) {
+        serverFilters.state = 'all';
+    }
+
+    var haveClientTerms = clientTerms.some(
+        function (terms) { return terms.length > 0; });
+    return {
+        serverFilters: serverFilters,
+        clientTerms: (haveClientTerms ? clientTerms : null)
+    };
+}
+
+
+/**
+ * Return true if the given image matches the client-side terms of the given
+ * filter (as returned by `parseFilterArgs`).
+ */
+function matchImage(filter, image) {
+    assert.object(filter, 'filter');
+    assert.object(image, 'image');
+
+    if (!filter.clientTerms) {
+        return true;
+    }
+    return filter.clientTerms.some(function (terms) {
+        return terms.every(function (term) { return matchTerm(term, image); });
+    });
+}
+
+
+
+//---- exports
+
+module.exports = {
+    parseFilterArgs: parseFilterArgs,
+    matchImage: matchImage
+};
@@ -0,0 +1,268 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Client-side validation of image manifests, to catch every problem before
+ * sending a manifest to IMGAPI (which rejects them one error at a time).
+ */
+
+var assert = require('assert-plus');
+var format = require('util').format;
+
+var compression = require('./compression');
+
+
+//---- globals
+
+/* JSSTYLED */
+var UUID_RE = /^[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}$/;
+var SHA1_RE = /^[a-f0-9]{40}$/;
+
+var VALID_OSES = ['smartos', 'linux', 'windows', 'bsd', 'illumos', 'other'];
+var VALID_TYPES = ['zone-dataset', 'lx-dataset', 'zvol', 'docker', 'other'];
+
+// The fields that UpdateImage can change.
+var UPDATABLE_FIELDS = [
+    'description', 'homepage', 'public', 'acl', 'requirements', 'type', 'os',
+    'users', 'tags', 'billing_tags', 'traits', 'generate_passwords',
+    'nic_driver', 'disk_driver', 'cpu_type', 'image_size',
+    'inherited_directories'
+];
+
+// The type of each supported "requirements" field.
+var REQUIREMENTS_TYPES = {
+    networks: 'array',
+    brand: 'string',
+    ssh_key: 'boolean',
+    min_ram: 'number',
+    max_ram: 'number',
+    min_platform: 'object',
+    max_platform: 'object',
+    bootrom: 'string'
+};
+
+
+
+//---- internal support stuff
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    } else if (Array.isArray(value)) {
+        return 'array';
+    }
+    return typeof (value);
+}
+
+
+
+//---- exported functions
+
+/**
+ * Validate an image manifest.
+ *
+ * @param manifest {Object}
+ * @param options {Object} Optional.
+ *      - forImport {Boolean} Optional. Validate for AdminImportImage, which
+ *        also requires "uuid" and "owner".
+ * @returns {Array} The validation errors, if any, each with `field`, `code`
+ *      ("MissingParameter" or "Invalid") and `message`, as in the "errors"
+ *      of an IMGAPI "ValidationFailed" error.
+ */
+function validateManifest(manifest, options) {
+    assert.optionalObject(options, 'options');
+    options = options || {};
+    var errs = [];
+
+    function invalid(field, message) {
+        errs.push({field: field, code: 'Invalid', message: message});
+    }
+
+    if (typeOf(manifest) !== 'object') {
+        invalid('manifest', 'manifest must be an object');
+        return errs;
+    }
+
+    var required = ['name', 'version', 'os', 'type'];
+    if (options.forImport) {
+        required = ['uuid', 'owner'].concat(required);
+    }
+    required.forEach(function (field) {
+        if (manifest[field] === undefined) {
+            errs.push({field: field, code: 'MissingParameter',
+                message: format('"%s" is required', field)});
+        }
+    });
+
+    ['name', 'version', 'description', 'homepage', 'published_at'].forEach(
+            function (field) {
+        if (manifest[field] !== undefined &&
+            typeof (manifest[field]) !== 'string')
+        {
+            invalid(field, format('"%s" must be a string', field));
+        }
+    });
+    if (typeof (manifest.published_at) === 'string' &&
+        isNaN(Date.parse(manifest.published_at)))
+    {
+        invalid('published_at', 'invalid date: ' + manifest.published_at);
+    }
+
+    ['uuid', 'owner', 'origin'].forEach(function (field) {
+        if (manifest[field] !== undefined && !UUID_RE.test(manifest[field])) {
+            invalid(field, format('"%s" is not a UUID', field));
+        }
+    });
+
+    ['public', 'disabled'].forEach(function (field) {
+        if (manifest[field] !== undefined &&
+            typeof (manifest[field]) !== 'boolean')
+        {
+            invalid(field, format('"%s" must be a boolean', field));
+        }
+    });
+
+    if (manifest.os !== undefined && VALID_OSES.indexOf(manifest.os) === -1) {
+        invalid('os', format('"%s" is not one of %s', manifest.os,
+            VALID_OSES.join(', ')));
+    }
+    if (manifest.type !== undefined &&
+        VALID_TYPES.indexOf(manifest.type) === -1)
+    {
+        invalid('type', format('"%s" is not one of %s', manifest.type,
+            VALID_TYPES.join(', ')));
+    }
+
+    if (manifest.acl !== undefined) {
+        if (!Array.isArray(manifest.acl)) {
+            invalid('acl', '"acl" must be an array of account UUIDs');
+        } else {
+            manifest.acl.forEach(function (account, i) {
+                if (!UUID_RE.test(account)) {
+                    invalid('acl.' + i, 'not a UUID: ' + account);
+                }
+            });
+        }
+    }
+
+    if (manifest.requirements !== undefined) {
+        if (typeOf(manifest.requirements) !== 'object') {
+            invalid('requirements', '"requirements" must be an object');
+        } else {
+            Object.keys(manifest.requirements).forEach(function (key) {
+                var field = 'requirements.' + key;
+                var value = manifest.requirements[key];
+                if (!REQUIREMENTS_TYPES.hasOwnProperty(key)) {
+                    invalid(field, 'unsupported requirement');
+                } else if (typeOf(value) !== REQUIREMENTS_TYPES[key]) {
+                    invalid(field, format('"%s" must be a %s', field,
+                        REQUIREMENTS_TYPES[key]));
+                }
+            });
+        }
+    }
+
+    if (manifest.files !== undefined) {
+        if (!Array.isArray(manifest.files)) {
+            invalid('files', '"files" must be an array');
+        } else {
+            manifest.files.forEach(function (file, i) {
+                var field = 'files.' + i;
+                if (typeOf(file) !== 'object') {
+                    invalid(field, format('"%s" must be an object', field));
+                    return;
+                }
+                if (file.sha1 !== undefined && !SHA1_RE.test(file.sha1)) {
+                    invalid(field + '.sha1', 'not a SHA-1: ' + file.sha1);
+                }
+                if (file.size !== undefined &&
+                    (typeof (file.size) !== 'number' || file.size < 0 ||
+                    file.size % 1 !== 0))
+                {
+                    invalid(field + '.size',
+                        'not a non-negative integer: ' + file.size);
+                }
+                if (file.compression !== undefined &&
+                    compression.COMPRESSIONS.indexOf(file.compression) === -1)
+                {
+                    invalid(field + '.compression', format(
+                        '"%s" is not one of %s', file.compression,
+                        compression.COMPRESSIONS.join(', ')));
+                }
+            });
+        }
+    }
+
+    if (manifest.tags !== undefined) {
+        if (typeOf(manifest.tags) !== 'object') {
+            invalid('tags', '"tags" must be an object');
+        } else {
+            Object.keys(manifest.tags).forEach(function (key) {
+                var type = typeOf(manifest.tags[key]);
+                if (['string', 'number', 'boolean'].indexOf(type) === -1) {
+                    invalid('tags.' + key, format('tag value must be a ' +
+                        'string, number or boolean, not %s', type));
+                }
+            });
+        }
+    }
+
+    return errs;
+}
+
+
+
+/**
+ * Validate an UpdateImage body for the given image.
+ *
+ * @param body {Object} The fields to update.
+ * @param image {Object} The current image manifest.
+ * @returns {Array} The validation errors, if any, as for `validateManifest`.
+ */
+function validateUpdate(body, image) {
+    assert.object(body, 'body');
+    assert.object(image, 'image');
+    var errs = [];
+
+    var updated = {};
+    Object.keys(image).forEach(function (field) {
+        updated[field] = image[field];
+    });
+    Object.keys(body).forEach(function (field) {
+        if (UPDATABLE_FIELDS.indexOf(field) === -1) {
+            errs.push({field: field, code: 'Invalid',
+                message: format('"%s" cannot be updated', field)});
+        } else if (body[field] === null) {
+            delete updated[field];
+        } else {
+            updated[field] = body[field];
+        }
+    });
+
+    // Only report problems with the updated fields.
+    validateManifest(updated).forEach(function (e) {
+        var field = e.field.split('.')[0];
+        if (body.hasOwnProperty(field) &&
+            UPDATABLE_FIELDS.indexOf(field) !== -1)
+        {
+            errs.push(e);
+        }
+    });
+    return errs;
+}
+
+
+
+//---- exports
+
+module.exports = {
+    validateManifest: validateManifest,
+    validateUpdate: validateUpdate
+};
@@ -0,0 +1,188 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Retry of idempotent IMGAPI client calls on transient errors.
+ */
+
+var assert = require('assert-plus');
+
+
+//---- globals
+
+/*
+ * The IMGAPI client methods that are safe to retry. These are all GETs:
+ * methods that change state (e.g. CreateImage) are never retried, because
+ * the failed attempt may have taken effect.
+ */
+var RETRY_METHODS = [
+    'adminGetState',
+    'getImage',
+    'getImageFile',
+    'getImageFileStream',
+    'getImageIcon',
+    'getImageIconStream',
+    'listChannels',
+    'listImages',
+    'ping'
+];
+
+var RETRY_ERROR_CODES = [
+    'EAI_AGAIN',
+    'ECONNREFUSED',
+    'ECONNRESET',
+    'EPIPE',
+    'ETIMEDOUT'
+];
+var RETRY_ERROR_NAMES = ['ConnectTimeoutError', 'RequestTimeoutError'];
+var RETRY_STATUS_CODES = [429, 502, 503, 504];
+
+var DEFAULT_MIN_DELAY = 1000;
+var DEFAULT_MAX_DELAY = 30000;
+
+
+
+//---- internal support stuff
+
+/*
+ * Return the HTTP response, if any, from the arguments of an IMGAPI client
+ * callback, e.g. `function (err, image, res)`.
+ */
+function resFromCallbackArgs(args) {
+    for (var i = 1; i < args.length; i++) {
+        if (args[i] && typeof (args[i].statusCode) === 'number' &&
+            args[i].headers)
+        {
+            return args[i];
+        }
+    }
+    return null;
+}
+
+
+
+//---- exported functions
+
+/**
+ * Return true if the given error from an IMGAPI client call is transient,
+ * i.e. the call might succeed if retried.
+ */
+function isRetryableError(err) {
+    if (!err) {
+        return false;
+    }
+    return (RETRY_ERROR_CODES.indexOf(err.code) !== -1 ||
+        RETRY_ERROR_NAMES.indexOf(err.name) !== -1 ||
+        RETRY_STATUS_CODES.indexOf(err.statusCode) !== -1);
+}
+
+
+/**
+ * Return the number of milliseconds to wait before retrying.
+ *
+ * This is the "Retry-After" of the given response, if any. Otherwise it is
+ * an exponential backoff from `options.minDelay`, with jitter so that
+ * concurrent callers don't all retry at the same time. Either way it is
+ * capped at `options.maxDelay`.
+ *
+ * @param attempt {Number} The number of retries so far.
+ * @param res {Object} Optional. The HTTP response of the failed attempt.
+ * @param options {Object} Optional. `minDelay` and `maxDelay` in ms.
+ */
+function retryDelay(attempt, res, options) {
+    assert.number(attempt, 'attempt');
+    assert.optionalObject(res, 'res');
+    assert.optionalObject(options, 'options');
+    options = options || {};
+    var minDelay = (options.minDelay === undefined ? DEFAULT_MIN_DELAY :
+        options.minDelay);
+    var maxDelay = (options.maxDelay === undefined ? DEFAULT_MAX_DELAY :
+        options.maxDelay);
+
+    var retryAfter = res && res.headers && res.headers['retry-after'];
+    if (retryAfter) {
+        // Either a number of seconds or an HTTP date.
+        if (/^\d+$/.test(retryAfter)) {
+            return Math.min(maxDelay, Number(retryAfter) * 1000);
+        }
+        var when = Date.parse(retryAfter);
+        if (!isNaN(when)) {
+            return Math.min(maxDelay, Math.max(0, when - Date.now()));
+        }
+    }
+
+    var delay = Math.min(maxDelay, minDelay * Math.pow(2, attempt));
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+
+/**
+ * Wrap the idempotent methods (see `RETRY_METHODS`) of the given IMGAPI
+ * client to retry up to `options.retries` times on a transient error.
+ *
+ * Note that for the stream methods (e.g. `getImageFileStream`) only getting
+ * the response is retried, not an error reading the stream.
+ *
+ * @param client {IMGAPI}
+ * @param options {Object}
+ *      - retries {Number} The maximum number of retries of a call.
+ *      - log {Bunyan Logger}
+ *      - minDelay, maxDelay {Number} Optional. See `retryDelay`.
+ * @returns {IMGAPI} The given client.
+ */
+function wrapClient(client, options) {
+    assert.object(client, 'client');
+    assert.object(options, 'options');
+    assert.number(options.retries, 'options.retries');
+    assert.object(options.log, 'options.log');
+
+    if (options.retries <= 0) {
+        return client;
+    }
+
+    RETRY_METHODS.forEach(function (name) {
+        var method = client[name];
+        if (typeof (method) !== 'function') {
+            return;
+        }
+        client[name] = function retryingMethod() {
+            var args = Array.prototype.slice.call(arguments);
+            var callback = args.pop();
+            assert.func(callback, 'callback');
+            var attempt = 0;
+
+            function call() {
+                method.apply(client, args.concat([function onResult(err) {
+                    if (attempt >= options.retries || !isRetryableError(err)) {
+                        return callback.apply(null, arguments);
+                    }
+                    var delay = retryDelay(attempt,
+                        resFromCallbackArgs(arguments), options);
+                    attempt++;
+                    options.log.info({err: err, method: name,
+                        attempt: attempt, delay: delay}, 'retrying');
+                    setTimeout(call, delay);
+                }]));
+            }
+            call();
+        };
+    });
+    return client;
+}
+
+
+
+//---- exports
+
+module.exports = {
+    isRetryableError: isRetryableError,
+    retryDelay: retryDelay,
+    wrapClient: wrapClient
+};
@@ -0,0 +1,137 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Manifest templates: string values of a manifest may contain "{{NAME}}"
+ * placeholders for template variables.
+ *
+ * A string that is just one placeholder is replaced by the variable value,
+ * whatever its type (e.g. `"min_ram": "{{ram}}"` with ram=1024 gives a
+ * number). Placeholders within a longer string are replaced by the value as
+ * a string.
+ */
+
+var assert = require('assert-plus');
+var format = require('util').format;
+
+var common = require('./common');
+var errors = require('./errors');
+
+
+//---- globals
+
+var PLACEHOLDER_RE = /\{\{\s*([A-Za-z_][\w.]*)\s*\}\}/g;
+var WHOLE_PLACEHOLDER_RE = /^\{\{\s*([A-Za-z_][\w.]*)\s*\}\}$/;
+
+
+
+//---- internal support stuff
+
+/*
+ * Call `fn(str)` for each string value in `obj`, replacing it with the
+ * return value. Returns the updated copy of `obj`.
+ */
+function mapStrings(obj, fn) {
+    if (typeof (obj) === 'string') {
+        return fn(obj);
+    } else if (Array.isArray(obj)) {
+        return obj.map(function (item) {
+            return mapStrings(item, fn);
+        });
+    } else if (obj !== null && typeof (obj) === 'object') {
+        var copy = {};
+        Object.keys(obj).forEach(function (k) {
+            copy[k] = mapStrings(obj[k], fn);
+        });
+        return copy;
+    }
+    return obj;
+}
+
+
+/*
+ * Lookup a variable. A dotted name (e.g. "tags.role") is looked up in
+ * sub-objects, unless there is a variable with that exact name.
+ */
+function lookupVar(vars, name) {
+    if (vars.hasOwnProperty(name)) {
+        return vars[name];
+    }
+    return common.lookupPath(vars, name);
+}
+
+
+
+//---- exported functions
+
+/**
+ * Return the names of the template variables used in `template`.
+ *
+ * @param template {Object} A parsed manifest template.
+ * @returns {Array} The variable names, without duplicates.
+ */
+function templateVarNames(template) {
+    var names = [];
+    mapStrings(template, function (str) {
+        var match;
+        PLACEHOLDER_RE.lastIndex = 0;
+        while ((match = PLACEHOLDER_RE.exec(str)) !== null) {
+            if (names.indexOf(match[1]) === -1) {
+                names.push(match[1]);
+            }
+        }
+        return str;
+    });
+    return names;
+}
+
+
+/**
+ * Render a manifest template.
+ *
+ * @param template {Object} A parsed manifest template.
+ * @param vars {Object} The template variables.
+ * @returns {Object} The manifest.
+ * @throws {UsageError} If any variables are not defined.
+ */
+function renderTemplate(template, vars) {
+    assert.object(vars, 'vars');
+
+    var undefinedNames = templateVarNames(template).filter(function (name) {
+        return lookupVar(vars, name) === undefined;
+    });
+    if (undefinedNames.length) {
+        throw new errors.UsageError(format(
+            'undefined manifest template variable%s: %s',
+            (undefinedNames.length === 1 ? '' : 's'),
+            undefinedNames.join(', ')));
+    }
+
+    return mapStrings(template, function (str) {
+        var whole = WHOLE_PLACEHOLDER_RE.exec(str);
+        if (whole) {
+            return lookupVar(vars, whole[1]);
+        }
+        return str.replace(PLACEHOLDER_RE, function (_, name) {
+            var value = lookupVar(vars, name);
+            return (typeof (value) === 'object' && value !== null ?
+                JSON.stringify(value) : String(value));
+        });
+    });
+}
+
+
+
+//---- exports
+
+module.exports = {
+    templateVarNames: templateVarNames,
+    renderTemplate: renderTemplate
+};
@@ -0,0 +1,95 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Bandwidth limiting of file transfers, for `--limit-rate`.
+ */
+
+var assert = require('assert-plus');
+var stream = require('stream');
+var util = require('util');
+
+
+//---- ThrottleStream
+
+/**
+ * A pass-through stream that limits the average rate of data through it to
+ * `rate` bytes per second.
+ */
+function ThrottleStream(rate) {
+    assert.number(rate, 'rate');
+    assert.ok(rate > 0, 'rate > 0');
+    stream.Transform.call(this);
+    this.rate = rate;
+    this.start = null;
+    this.bytes = 0;
+}
+util.inherits(ThrottleStream, stream.Transform);
+
+ThrottleStream.prototype._transform = function _transform(chunk, encoding,
+        callback) {
+    var self = this;
+    if (self.start === null) {
+        self.start = Date.now();
+    }
+
+    // Pass on about a tenth of a second of data at a time, so the rate (e.g.
+    // as shown by a progress bar) is smooth.
+    var pieceSize = Math.max(1, Math.floor(self.rate / 10));
+    var offset = 0;
+    function passPiece() {
+        if (offset >= chunk.length) {
+            return callback();
+        }
+        var piece = chunk.slice(offset, offset + pieceSize);
+        offset += piece.length;
+        self.bytes += piece.length;
+        self.push(piece);
+        var wait = self.bytes * 1000 / self.rate - (Date.now() - self.start);
+        setTimeout(passPiece, Math.max(0, wait));
+    }
+    passPiece();
+};
+
+
+
+//---- exported functions
+
+/**
+ * Return a stream of the data of `input` limited to `rate` bytes per second.
+ * If `rate` is not given, `input` is returned. Errors on `input` are emitted
+ * on the returned stream.
+ *
+ * @param input {Stream}
+ * @param rate {Number} Optional.
+ * @returns {Stream}
+ */
+function throttle(input, rate) {
+    assert.object(input, 'input');
+    assert.optionalNumber(rate, 'rate');
+
+    if (!rate) {
+        return input;
+    }
+    var output = new ThrottleStream(rate);
+    input.on('error', function (err) {
+        output.emit('error', err);
+    });
+    return input.pipe(output);
+}
+
+
+
+//---- exports
+
+module.exports = {
+    ThrottleStream: ThrottleStream,
+    throttle: throttle
+};
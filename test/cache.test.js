@@ -0,0 +1,163 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Test the local image file cache.
+ */
+
+var bunyan = require('bunyan');
+var crypto = require('crypto');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var stream = require('stream');
+var test = require('tape');
+
+var CLI = require('../lib/cli');
+var ImageFileCache = require('../lib/cache').ImageFileCache;
+
+
+var log = bunyan.createLogger({name: 'cache.test', level: 'fatal'});
+var dir = path.join(os.tmpdir(), 'imgapi-cli-cache-test-' + process.pid);
+var cache = new ImageFileCache({dir: dir, log: log});
+
+/*
+ * Add a cache entry for a fake image with a file of `size` bytes, last used
+ * `daysAgo` days ago. Returns the image.
+ */
+function addEntry(n, size, daysAgo) {
+    var data = new Array(size + 1).join(String(n));
+    var image = {
+        uuid: '0000000' + n + '-0000-4000-8000-000000000000',
+        files: [ {
+            sha1: crypto.createHash('sha1').update(data).digest('hex'),
+            size: size
+        } ]
+    };
+    var entryPath = cache.entryPath(image);
+    fs.writeFileSync(entryPath, data);
+    var when = new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000);
+    fs.utimesSync(entryPath, when, when);
+    return image;
+}
+
+
+test('cache: get', function (t) {
+    cache.prepare(function (err) {
+        t.ifError(err);
+        var image = addEntry(1, 10, 2);
+        cache.get(image, function (getErr, entryPath) {
+            t.ifError(getErr);
+            t.equal(entryPath, cache.entryPath(image), 'hit');
+
+            fs.appendFileSync(entryPath, 'x');
+            cache.get(image, function (corruptErr, corruptPath) {
+                t.ifError(corruptErr);
+                t.equal(corruptPath, null, 'corrupt entry is a miss');
+                t.notOk(fs.existsSync(entryPath), 'corrupt entry removed');
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('cache: evict', function (t) {
+    addEntry(1, 10, 1);
+    addEntry(2, 10, 2);
+    addEntry(3, 10, 3);
+    addEntry(4, 10, 40);
+    cache.evict({maxAge: 30 * 24 * 60 * 60 * 1000, maxSize: 25},
+            function (err, entries, evicted) {
+        t.ifError(err);
+        t.equal(entries.length, 4);
+        t.deepEqual(evicted.map(function (e) { return e.uuid[7]; }),
+            ['3', '4'], 'least recently used and old entries evicted');
+        cache.list(function (listErr, remaining) {
+            t.ifError(listErr);
+            t.deepEqual(remaining.map(function (e) { return e.uuid[7]; }),
+                ['1', '2']);
+            remaining.forEach(function (e) {
+                fs.unlinkSync(e.path);
+            });
+            fs.rmdirSync(dir);
+            t.end();
+        });
+    });
+});
+
+
+test('cache: concurrent cold-cache downloads', function (t) {
+    var data = new Array(4 * 1024 + 1).join('abcd');
+    var image = {
+        uuid: '00000009-0000-4000-8000-000000000000',
+        files: [ {
+            sha1: crypto.createHash('sha1').update(data).digest('hex'),
+            size: data.length
+        } ]
+    };
+
+    /*
+     * A CLI, as in a separate job, with the same cache directory. Its client
+     * sends the image file in four chunks, 10ms apart.
+     */
+    function createJob() {
+        var cli = new CLI({name: 'imgapi-cli', url: 'http://localhost:1'});
+        cli.log = log;
+        cli._retries = 0;
+        cli.cache = cache;
+        cli.client = {
+            getImageFileStream: function (uuid, account, opts, cb) {
+                var offset = 0;
+                var range = opts.headers && opts.headers.range;
+                if (range) {
+                    offset = Number(/^bytes=(\d+)-$/.exec(range)[1]);
+                }
+                var body = data.slice(offset);
+                var res = new stream.PassThrough();
+                res.statusCode = (range ? 206 : 200);
+                res.headers = {'content-length': String(body.length)};
+                var chunkSize = Math.ceil(body.length / 4);
+                function sendChunk(start) {
+                    if (start >= body.length) {
+                        return res.end();
+                    }
+                    res.write(body.slice(start, start + chunkSize));
+                    setTimeout(sendChunk, 10, start + chunkSize);
+                }
+                cb(null, res);
+                sendChunk(0);
+            }
+        };
+        return cli;
+    }
+
+    var results = [];
+    function fetched(err, entryPath) {
+        t.ifError(err, 'cold-cache fetch');
+        results.push(entryPath);
+        if (results.length < 2) {
+            return;
+        }
+        t.deepEqual(results, [cache.entryPath(image), cache.entryPath(image)]);
+        t.equal(fs.readFileSync(results[0], 'utf8'), data, 'entry content');
+        t.deepEqual(fs.readdirSync(dir), [path.basename(results[0])],
+            'no partial downloads left');
+        fs.unlinkSync(results[0]);
+        fs.rmdirSync(dir);
+        t.end();
+    }
+
+    // Start the second job once the first is part way through.
+    createJob()._cacheImageFile(image, {quiet: true}, fetched);
+    setTimeout(function () {
+        createJob()._cacheImageFile(image, {quiet: true}, fetched);
+    }, 15);
+});
@@ -0,0 +1,115 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Test the common helpers.
+ */
+
+var test = require('tape');
+
+var common = require('../lib/common');
+
+
+/*
+ * Call `fn()` and return what it wrote to stdout.
+ */
+function captureStdout(fn) {
+    var stdout = '';
+    var write = process.stdout.write;
+    process.stdout.write = function (chunk) {
+        stdout += chunk;
+        return true;
+    };
+    try {
+        fn();
+    } finally {
+        process.stdout.write = write;
+    }
+    return stdout;
+}
+
+
+test('common: parseSize', function (t) {
+    t.equal(common.parseSize('512'), 512);
+    t.equal(common.parseSize(512), 512);
+    t.equal(common.parseSize('20M'), 20 * 1024 * 1024);
+    t.equal(common.parseSize('1.5g'), 1.5 * 1024 * 1024 * 1024);
+    t.equal(common.parseSize('2TB'), 2 * 1024 * 1024 * 1024 * 1024);
+    t.equal(common.parseSize(' 4 kb '), 4096);
+    t.ok(isNaN(common.parseSize('')), 'empty');
+    t.ok(isNaN(common.parseSize('20X')), 'bad suffix');
+    t.ok(isNaN(common.parseSize('-1')), 'negative');
+    t.end();
+});
+
+
+test('common: longAgo', function (t) {
+    var now = Date.UTC(2026, 0, 1);
+    function ago(seconds) {
+        return common.longAgo(new Date(now - seconds * 1000), now);
+    }
+    t.equal(ago(0), '0s');
+    t.equal(ago(59), '59s');
+    t.equal(ago(60 * 60 + 1), '1h');
+    t.equal(ago(3 * 24 * 60 * 60), '3d');
+    t.equal(ago(15 * 24 * 60 * 60), '2w');
+    t.equal(ago(800 * 24 * 60 * 60), '2y');
+    t.equal(ago(-60), '0s', 'in the future');
+    t.end();
+});
+
+
+test('common: printDelimited', function (t) {
+    var rows = [
+        {name: 'a,b', desc: 'say "hi"', tags: {x: 1}},
+        {name: 'tab\there', desc: 'two\nlines', tags: null},
+        {name: 'back\\slash'}
+    ];
+    var columns = ['name', 'desc', 'tags'];
+
+    t.equal(captureStdout(function () {
+        common.printDelimited(rows, {format: 'csv', columns: columns});
+    }), [
+        'name,desc,tags',
+        '"a,b","say ""hi""","{""x"":1}"',
+        'tab\there,"two\nlines",',
+        'back\\slash,,',
+        ''
+    ].join('\n'), 'csv');
+
+    t.equal(captureStdout(function () {
+        common.printDelimited(rows, {format: 'tsv', columns: columns,
+            skipHeader: true});
+    }), [
+        'a,b\tsay "hi"\t{"x":1}',
+        'tab\\there\ttwo\\nlines\t',
+        'back\\\\slash\t\t',
+        ''
+    ].join('\n'), 'tsv');
+
+    t.equal(captureStdout(function () {
+        common.printDelimited([], {format: 'csv', columns: columns,
+            skipHeader: true});
+    }), '', 'nothing to print');
+    t.end();
+});
+
+
+test('common: parseDuration', function (t) {
+    t.equal(common.parseDuration('30s'), 30 * 1000);
+    t.equal(common.parseDuration('15m'), 15 * 60 * 1000);
+    t.equal(common.parseDuration(' 7d '), 7 * 24 * 60 * 60 * 1000);
+    t.equal(common.parseDuration('2w'), 14 * 24 * 60 * 60 * 1000);
+    t.equal(common.parseDuration('1y'), 365 * 24 * 60 * 60 * 1000);
+    t.ok(isNaN(common.parseDuration('7')), 'no unit');
+    t.ok(isNaN(common.parseDuration('1.5d')), 'not an integer');
+    t.ok(isNaN(common.parseDuration('2025-01-01')), 'a date');
+    t.end();
+});
@@ -0,0 +1,59 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Test image file compression support.
+ */
+
+var stream = require('stream');
+var test = require('tape');
+var zlib = require('zlib');
+
+var compression = require('../lib/compression');
+
+
+function hexBuf(hex) {
+    return (Buffer.from ? Buffer.from(hex, 'hex') : new Buffer(hex, 'hex'));
+}
+
+
+test('compression: compressionFromMagic', function (t) {
+    var cases = [
+        ['1f8b0800', 'gzip'],
+        ['425a6839', 'bzip2'],
+        ['fd377a585a0000', 'xz'],
+        ['fd377a', 'none'],
+        ['00000000', 'none'],
+        ['', 'none']
+    ];
+    cases.forEach(function (c) {
+        t.equal(compression.compressionFromMagic(hexBuf(c[0])), c[1],
+            '"' + c[0] + '" -> ' + c[1]);
+    });
+    t.end();
+});
+
+
+test('compression: decompressStream gzip', function (t) {
+    zlib.gzip('hello', function (err, data) {
+        t.ifError(err);
+        var input = new stream.PassThrough();
+        var output = compression.decompressStream(input, 'gzip');
+        var s = '';
+        output.on('data', function (chunk) {
+            s += chunk;
+        });
+        output.on('end', function () {
+            t.equal(s, 'hello');
+            t.end();
+        });
+        input.end(data);
+    });
+});
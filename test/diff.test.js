@@ -0,0 +1,49 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Test image manifest diffs.
+ */
+
+var test = require('tape');
+
+var diff = require('../lib/diff');
+
+
+test('diff: manifests', function (t) {
+    var a = {
+        name: 'base-64',
+        version: '1.0.0',
+        acl: ['a', 'b'],
+        tags: {role: 'web', old: true},
+        files: [ {size: 100, compression: 'gzip'} ]
+    };
+    var b = {
+        name: 'base-64',
+        version: '1.1.0',
+        acl: ['b', 'c'],
+        tags: {role: 'web'},
+        requirements: {min_platform: {'7.0': '20240101T000000Z'}},
+        files: [ {size: 90, compression: 'xz'} ]
+    };
+
+    var changes = diff.diffManifests(a, b);
+    t.deepEqual(changes.map(diff.formatChange), [
+        '- acl: "a"',
+        '+ acl: "c"',
+        '~ files.0.compression: "gzip" -> "xz"',
+        '~ files.0.size: 100 -> 90',
+        '+ requirements: {"min_platform":{"7.0":"20240101T000000Z"}}',
+        '- tags.old: true',
+        '~ version: "1.0.0" -> "1.1.0"'
+    ]);
+    t.deepEqual(diff.diffManifests(a, a), [], 'no changes');
+    t.end();
+});
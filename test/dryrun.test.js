@@ -0,0 +1,217 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Test that `--dry-run` checks the change and doesn't make it.
+ */
+
+var bunyan = require('bunyan');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var test = require('tape');
+
+var CLI = require('../lib/cli');
+
+
+var OWNER = '930896af-bf8c-48d4-885c-6573a94b1853';
+var ACCOUNT = '4fa5ac15-9e59-4fa4-a0ad-0e0c2d2d6d3e';
+
+// The images of the stub IMGAPI.
+var IMAGES = {
+    '1f9e6bf8-1d2f-4d5c-9a3b-2c4d5e6f7a8b': {
+        uuid: '1f9e6bf8-1d2f-4d5c-9a3b-2c4d5e6f7a8b',
+        owner: OWNER,
+        name: 'base',
+        version: '1.0.0',
+        state: 'active',
+        os: 'smartos',
+        type: 'zone-dataset',
+        icon: true,
+        tags: {role: 'db', team: 'ops'},
+        files: [ {sha1: 'da39a3ee5e6b4b0d3255bfef95601890afd80709', size: 0,
+            compression: 'gzip'} ]
+    }
+};
+var UUID = Object.keys(IMAGES)[0];
+
+// The client methods that change images: none may be called.
+var CHANGING_METHODS = ['createImage', 'adminImportImage', 'updateImage',
+    'activateImage', 'addImageAcl', 'addImageIcon', 'deleteImageIcon'];
+
+var tmpDir = path.join(os.tmpdir(), 'imgapi-cli-dryrun-test-' + process.pid);
+
+
+/*
+ * Write a manifest file for `create -m` or `import -m`. Returns its path.
+ */
+function writeManifest(name, manifest) {
+    if (!fs.existsSync(tmpDir)) {
+        fs.mkdirSync(tmpDir);
+    }
+    var manifestPath = path.join(tmpDir, name);
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+    return manifestPath;
+}
+
+
+/*
+ * Run `imgapi-cli --dry-run ARGS...` against the stub IMGAPI and call back
+ * with the error and stdout.
+ */
+function dryRun(t, args, callback) {
+    var cli = new CLI({name: 'imgapi-cli', url: 'http://localhost:1'});
+    var argv = ['node', 'imgapi-cli', '--dry-run'].concat(args);
+    cli.handleArgv(argv, [], function (argvErr, opts) {
+        t.ifError(argvErr);
+        cli.log = bunyan.createLogger({name: 'dryrun.test', level: 'fatal'});
+        cli._dryRun = opts['dry-run'];
+        cli.client = {
+            getImage: function (uuid, options, cb) {
+                if (cb === undefined) {
+                    cb = options;
+                }
+                if (!IMAGES[uuid]) {
+                    var err = new Error('image not found');
+                    err.statusCode = 404;
+                    err.body = {code: 'ResourceNotFound',
+                        message: 'image not found'};
+                    return cb(err);
+                }
+                cb(null, JSON.parse(JSON.stringify(IMAGES[uuid])));
+            }
+        };
+        CHANGING_METHODS.forEach(function (method) {
+            cli.client[method] = function () {
+                t.fail(method + ' was called');
+            };
+        });
+
+        var stdout = '';
+        var write = process.stdout.write;
+        process.stdout.write = function (chunk) {
+            stdout += chunk;
+            return true;
+        };
+        cli.dispatch(args[0], argv, function (err) {
+            process.stdout.write = write;
+            callback(err, stdout);
+        });
+    });
+}
+
+
+test('dry-run: update prints the merged body', function (t) {
+    dryRun(t, ['update', UUID, 'tags.team=dev', 'description=the base'],
+            function (err, stdout) {
+        t.ifError(err);
+        var lines = stdout.split('\n');
+        t.equal(lines.shift(), 'Would update image ' + UUID +
+            ' (base, 1.0.0) with:');
+        t.deepEqual(JSON.parse(lines.join('\n')), {
+            tags: {role: 'db', team: 'dev'},
+            description: 'the base'
+        }, 'tags are merged with the current ones');
+        t.end();
+    });
+});
+
+
+test('dry-run: update validates the change', function (t) {
+    dryRun(t, ['update', UUID, 'name=' + new Array(600).join('x')],
+            function (err) {
+        t.equal(err && err.code, 'ValidationFailed');
+        t.equal(err && err.exitStatus, 1);
+        t.end();
+    });
+});
+
+
+test('dry-run: create and import', function (t) {
+    var manifest = {
+        v: 2,
+        uuid: '2d3c6d8e-0b53-4f25-9a3a-9b1e8e4f9c11',
+        owner: OWNER,
+        name: 'base',
+        version: '2.0.0',
+        os: 'smartos',
+        type: 'zone-dataset'
+    };
+    dryRun(t, ['create', '-m', writeManifest('new.json', manifest)],
+            function (err, stdout) {
+        t.ifError(err);
+        t.ok(/^Would create image \(base, 2\.0\.0\):/.test(stdout),
+            'prints the image');
+
+        manifest.uuid = UUID;
+        dryRun(t, ['import', '-m', writeManifest('exists.json', manifest)],
+                function (existsErr) {
+            t.equal(existsErr && existsErr.code, 'DryRunFailed',
+                'the image already exists');
+            t.equal(existsErr && existsErr.exitStatus, 1);
+
+            manifest.os = 'plan9';
+            dryRun(t, ['create', '-m',
+                    writeManifest('invalid.json', manifest)],
+                    function (invalidErr) {
+                t.equal(invalidErr && invalidErr.code, 'ValidationFailed',
+                    'invalid manifest');
+                t.equal(invalidErr && invalidErr.exitStatus, 1);
+                fs.readdirSync(tmpDir).forEach(function (name) {
+                    fs.unlinkSync(path.join(tmpDir, name));
+                });
+                fs.rmdirSync(tmpDir);
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('dry-run: activate an active image', function (t) {
+    dryRun(t, ['activate', UUID], function (err) {
+        t.equal(err && err.code, 'DryRunFailed');
+        t.ok(/already activated/.test(err && err.message),
+            'the image is already activated');
+        t.end();
+    });
+});
+
+
+test('dry-run: add-acl', function (t) {
+    dryRun(t, ['add-acl', UUID, ACCOUNT], function (err, stdout) {
+        t.ifError(err);
+        t.equal(stdout, 'Would update ACL for image ' + UUID + ' to: ' +
+            ACCOUNT + '\n');
+        dryRun(t, ['add-acl', UUID, 'bob'], function (invalidErr) {
+            t.equal(invalidErr && invalidErr.code, 'ValidationFailed',
+                'the new ACL is validated');
+            t.end();
+        });
+    });
+});
+
+
+test('dry-run: delete-icon', function (t) {
+    dryRun(t, ['delete-icon', UUID], function (err, stdout) {
+        t.ifError(err);
+        t.equal(stdout, 'Would delete icon from image ' + UUID +
+            ' (base, 1.0.0)\n');
+        t.end();
+    });
+});
+
+
+test('dry-run: other commands reject it', function (t) {
+    dryRun(t, ['add-icon', UUID, '-f', 'icon.png'], function (err) {
+        t.equal(err && err.code, 'Usage', 'add-icon --dry-run fails');
+        t.end();
+    });
+});
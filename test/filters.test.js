@@ -0,0 +1,99 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Test `list` filter expressions.
+ */
+
+var test = require('tape');
+
+var filters = require('../lib/filters');
+
+
+var IMAGES = [
+    {
+        uuid: 'a3c0d41e-2f4e-4f57-9d53-3d3a9c2b0a01',
+        name: 'base-64',
+        os: 'smartos',
+        state: 'active',
+        published_at: '2023-06-01T00:00:00Z',
+        tags: {role: 'lb'},
+        acl: ['9e4e0f35-8dd9-4d8f-a1c0-0c5c8cbc1b8a'],
+        files: [ {size: 2 * 1024 * 1024 * 1024} ]
+    },
+    {
+        uuid: 'b7e0c7b4-9f3c-4d5c-8a0b-4a5f0e9a7b02',
+        name: 'ubuntu-22.04',
+        os: 'linux',
+        state: 'disabled',
+        published_at: '2024-03-15T12:00:00Z',
+        requirements: {brand: 'bhyve'},
+        files: [ {size: 512 * 1024 * 1024} ]
+    }
+];
+
+function names(filter) {
+    return IMAGES.filter(function (img) {
+        return filters.matchImage(filter, img);
+    }).map(function (img) { return img.name; });
+}
+
+
+test('filters: server pushdown', function (t) {
+    var f = filters.parseFilterArgs(['os=smartos', 'name=~base',
+        'tags.role=lb']);
+    t.deepEqual(f.serverFilters,
+        {os: 'smartos', name: '~base', 'tag.role': 'lb'});
+    t.equal(f.clientTerms, null, 'nothing to do client-side');
+    t.end();
+});
+
+test('filters: comparisons, regex and dotted paths', function (t) {
+    t.deepEqual(names(filters.parseFilterArgs(
+        ['published_at>2024-01-01'])), ['ubuntu-22.04']);
+    t.deepEqual(names(filters.parseFilterArgs(
+        ['files.0.size>1G'])), ['base-64']);
+    t.deepEqual(names(filters.parseFilterArgs(
+        ['name=~/^BASE-\\d+$/i', 'os=smartos'])), ['base-64']);
+    t.deepEqual(names(filters.parseFilterArgs(
+        ['requirements.brand=bhyve'])), ['ubuntu-22.04']);
+    t.deepEqual(names(filters.parseFilterArgs(
+        ['acl=9e4e0f35-8dd9-4d8f-a1c0-0c5c8cbc1b8a'])), ['base-64']);
+    t.end();
+});
+
+test('filters: negation and or', function (t) {
+    t.deepEqual(names(filters.parseFilterArgs(
+        ['!tags.role=lb'])), ['ubuntu-22.04']);
+    t.deepEqual(names(filters.parseFilterArgs(
+        ['requirements.brand!=bhyve'])), ['base-64']);
+
+    var f = filters.parseFilterArgs(['os=smartos', 'files.0.size<1M', 'or',
+        'state=disabled']);
+    t.deepEqual(f.serverFilters, {state: 'all'},
+        'client-side "state" terms need all states from the server');
+    t.deepEqual(names(f), ['ubuntu-22.04']);
+    t.end();
+});
+
+test('filters: invalid', function (t) {
+    [
+        ['name'],
+        ['or', 'os=smartos'],
+        ['os=smartos', 'or'],
+        ['name=~/(/'],
+        ['os=smartos', 'or', 'account=9e4e0f35-8dd9-4d8f-a1c0-0c5c8cbc1b8a']
+    ].forEach(function (args) {
+        t.throws(function () {
+            filters.parseFilterArgs(args);
+        }, /invalid|unexpected/, JSON.stringify(args));
+    });
+    t.end();
+});
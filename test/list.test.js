@@ -0,0 +1,413 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Test `list` against a stub IMGAPI client.
+ */
+
+var bunyan = require('bunyan');
+var test = require('tape');
+
+var CLI = require('../lib/cli');
+
+
+/*
+ * Return `n` images published a day apart, starting 2024-01-01.
+ */
+function makeImages(n) {
+    var images = [];
+    for (var i = 0; i < n; i++) {
+        var day = new Date(Date.UTC(2024, 0, 1 + i));
+        images.push({
+            uuid: '00000000-0000-4000-8000-0000000000' + (i < 10 ? '0' : '') +
+                i,
+            owner: '930896af-bf8c-48d4-885c-6573a94b1853',
+            name: 'img' + i,
+            version: '1.0.' + i,
+            state: 'active',
+            os: 'smartos',
+            published_at: day.toISOString(),
+            files: [ {size: 1024 * (i + 1), sha1: 'sha1-' + i} ]
+        });
+    }
+    return images;
+}
+
+
+/*
+ * A CLI whose client lists the given images, honouring the "marker"
+ * (inclusive, on "published_at") and "limit" filters. The ListImages
+ * filters of each call are recorded in `cli.listCalls`. GetImage also finds
+ * the `unlisted` images.
+ */
+function createCli(images, unlisted) {
+    var cli = new CLI({name: 'imgapi-cli', url: 'http://localhost:1'});
+    cli.log = bunyan.createLogger({name: 'list.test', level: 'fatal'});
+    cli.listCalls = [];
+    cli.client = {
+        listImages: function (filters, options, cb) {
+            cli.listCalls.push(filters);
+            var listed = images.filter(function (img) {
+                return (!filters.marker || img.published_at >= filters.marker);
+            });
+            if (filters.limit) {
+                listed = listed.slice(0, filters.limit);
+            }
+            cb(null, JSON.parse(JSON.stringify(listed)));
+        },
+        getImage: function (uuid, cb) {
+            var found = images.concat(unlisted || []).filter(function (img) {
+                return img.uuid === uuid;
+            })[0];
+            if (!found) {
+                var err = new Error('image not found');
+                err.body = {code: 'ResourceNotFound'};
+                return cb(err);
+            }
+            cb(null, JSON.parse(JSON.stringify(found)));
+        }
+    };
+    return cli;
+}
+
+
+/*
+ * Run `imgapi-cli list ARGS...` and call back with its stdout.
+ */
+function runList(cli, args, callback) {
+    var argv = ['node', 'imgapi-cli', 'list'].concat(args);
+    cli.handleArgv(argv, [], function (argvErr) {
+        if (argvErr) {
+            return callback(argvErr);
+        }
+        var stdout = '';
+        var write = process.stdout.write;
+        process.stdout.write = function (chunk) {
+            stdout += chunk;
+            return true;
+        };
+        cli.dispatch('list', argv, function (err) {
+            process.stdout.write = write;
+            callback(err, stdout);
+        });
+    });
+}
+
+
+/*
+ * Call `cli._listImagesPaged` and call back with all the listed images.
+ */
+function listPaged(cli, filters, callback) {
+    var listed = [];
+    cli._listImagesPaged(cli.client, filters, {}, function (images, next) {
+        listed = listed.concat(images);
+        next();
+    }, function (err) {
+        callback(err, listed);
+    });
+}
+
+
+function uuids(images) {
+    return images.map(function (img) { return img.uuid; });
+}
+
+
+test('list: paging stops on a short page', function (t) {
+    var images = makeImages(10);
+    var cli = createCli(images);
+    listPaged(cli, {limit: 5}, function (err, listed) {
+        t.ifError(err);
+        t.deepEqual(uuids(listed), uuids(images));
+        // Pages: 0-4, 4-8 and 8-9. The marker is inclusive.
+        t.deepEqual(cli.listCalls.map(function (f) { return f.marker; }),
+            [undefined, images[4].published_at, images[8].published_at]);
+        t.end();
+    });
+});
+
+
+test('list: paging skips images repeated at the page boundary',
+        function (t) {
+    var images = makeImages(8);
+    // Three images published at the same time, straddling the first page.
+    images[3].published_at = images[4].published_at = images[2].published_at;
+    var cli = createCli(images);
+    listPaged(cli, {limit: 4}, function (err, listed) {
+        t.ifError(err);
+        t.deepEqual(uuids(listed), uuids(images), 'each image once');
+        t.end();
+    });
+});
+
+
+test('list: paging fails if the marker cannot advance', function (t) {
+    var images = makeImages(8);
+    for (var i = 2; i < 7; i++) {
+        images[i].published_at = images[1].published_at;
+    }
+    var cli = createCli(images);
+    listPaged(cli, {limit: 3}, function (err, listed) {
+        t.ok(err, 'got an error');
+        t.equal(err && err.code, 'PagingFailed');
+        t.equal(listed.length, 3, 'the pages before the error are listed');
+        t.end();
+    });
+});
+
+
+test('list: --paginate --max', function (t) {
+    var images = makeImages(10);
+    var cli = createCli(images);
+    runList(cli, ['--paginate', '--limit', '3', '--max', '4', '-H',
+            '-o', 'name'], function (err, stdout) {
+        t.ifError(err);
+        t.equal(stdout, 'img0\nimg1\nimg2\nimg3\n');
+        t.equal(cli.listCalls.length, 2, 'no more pages after --max');
+        t.end();
+    });
+});
+
+
+test('list: --tree', function (t) {
+    var images = makeImages(5);
+    images[1].origin = images[2].origin = images[0].uuid;
+    images[3].origin = images[1].uuid;
+    images[4].origin = '00000000-0000-4000-8000-0000000000ff';
+
+    runList(createCli(images), ['--tree', '-H', '-o', 'name', '-s', '-name'],
+            function (err, stdout) {
+        t.ifError(err);
+        t.equal(stdout, [
+            'img0',
+            ' |- img2',
+            ' `- img1',
+            '     `- img3',
+            '???',
+            ' `- img4',
+            ''
+        ].join('\n'), 'generations sorted per -s, faux missing origin');
+
+        runList(createCli(images), ['--tree', '-H', '-o', 'name',
+                '--tree-depth', '1', '--tree-root', images[0].uuid,
+                '--tree-style', 'unicode'], function (err2, stdout2) {
+            t.ifError(err2);
+            t.equal(stdout2, [
+                'img0',
+                ' \u251c\u2500 img1',
+                ' \u2514\u2500 img2',
+                ''
+            ].join('\n'), '--tree-root, --tree-depth and --tree-style');
+            t.end();
+        });
+    });
+});
+
+
+test('list: --tree-root must be listed', function (t) {
+    var images = makeImages(2);
+    runList(createCli(images), ['--tree', '--tree-root',
+            '00000000-0000-4000-8000-0000000000ff'], function (err) {
+        t.ok(err, 'got an error');
+        t.equal(err && err.code, 'Usage');
+        t.end();
+    });
+});
+
+
+test('list: dotted and computed columns', function (t) {
+    var images = makeImages(4);
+    images[1].origin = images[0].uuid;
+    images[2].origin = images[1].uuid;
+    images[2].tags = {role: 'db'};
+    images[2].channels = ['dev', 'prod'];
+    images[2].published_at = new Date(
+        Date.now() - 3 * 24 * 60 * 60 * 1000 - 1000).toISOString();
+    images[3].origin = '00000000-0000-4000-8000-0000000000ff';
+    images[3].published_at = new Date(
+        Date.now() - 2 * 60 * 60 * 1000 - 1000).toISOString();
+
+    // Only list the last two: the origins are fetched with GetImage.
+    var cli = createCli(images.slice(2), images.slice(0, 2));
+    runList(cli, ['-H', '-s', 'name', '-o',
+            'name,depth,chain_size,tags.role,files.0.sha1,channels_count,age'],
+            function (err, stdout) {
+        t.ifError(err);
+        t.equal(stdout, [
+            'img2  2      6144        db         sha1-2        2' +
+                '               3d',
+            'img3  -      -           -          sha1-3        0' +
+                '               2h',
+            ''
+        ].join('\n'));
+        t.end();
+    });
+});
+
+
+test('list: sort by computed and dotted fields', function (t) {
+    var images = makeImages(3);
+    images[0].tags = {role: 'web'};
+    images[1].tags = {role: 'db'};
+    images[2].tags = {role: 'lb'};
+
+    runList(createCli(images), ['-H', '-o', 'name', '-s', 'age'],
+            function (err, stdout) {
+        t.ifError(err);
+        t.equal(stdout, 'img2\nimg1\nimg0\n', '"age" sorts newest first');
+
+        runList(createCli(images), ['-H', '-o', 'name', '-s', 'tags.role'],
+                function (err2, stdout2) {
+            t.ifError(err2);
+            t.equal(stdout2, 'img1\nimg2\nimg0\n', 'by "tags.role"');
+            t.end();
+        });
+    });
+});
+
+
+test('list: --format', function (t) {
+    var images = makeImages(3);
+    images[0].description = 'a "quoted", comma';
+    images[1].description = 'tab\there';
+
+    runList(createCli(images), ['--format', 'csv', '-o', 'name,description'],
+            function (err, stdout) {
+        t.ifError(err);
+        t.equal(stdout, [
+            'name,description',
+            'img0,"a ""quoted"", comma"',
+            'img1,tab\there',
+            'img2,',
+            ''
+        ].join('\n'), 'csv');
+
+        runList(createCli(images), ['--format', 'tsv', '-H', '-o',
+                'name,description'], function (err2, stdout2) {
+            t.ifError(err2);
+            t.equal(stdout2, [
+                'img0\ta "quoted", comma',
+                'img1\ttab\\there',
+                'img2\t',
+                ''
+            ].join('\n'), 'tsv');
+
+            runList(createCli(images), ['--format', 'ndjson', '--paginate',
+                    '--limit', '2'], function (err3, stdout3) {
+                t.ifError(err3);
+                var lines = stdout3.split('\n');
+                t.equal(lines.pop(), '', 'ends with a newline');
+                t.deepEqual(lines.map(function (line) {
+                    return JSON.parse(line).description;
+                }), [images[0].description, images[1].description,
+                    undefined],
+                    'ndjson, one manifest per line');
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('list: --format conflicts', function (t) {
+    runList(createCli([]), ['--format', 'xml'], function (err) {
+        t.equal(err && err.code, 'Usage', 'invalid format');
+        runList(createCli([]), ['-j', '--format', 'csv'], function (err2) {
+            t.equal(err2 && err2.code, 'Usage', '-j with another format');
+            t.end();
+        });
+    });
+});
+
+
+test('list: --group-by', function (t) {
+    var images = makeImages(4);
+    images[0].tags = {role: 'db'};
+    images[1].tags = {role: 'db'};
+    images[2].tags = {role: 'web'};
+    images[0].channels = ['dev'];
+    images[1].channels = ['dev', 'prod'];
+    images[2].channels = ['prod'];
+    images[3].channels = ['prod'];
+
+    runList(createCli(images), ['--group-by', 'tags.role', '-j'],
+            function (err, stdout) {
+        t.ifError(err);
+        t.deepEqual(JSON.parse(stdout), [
+            {count: 1, total_size: 4096, max_size: 4096,
+                newest: images[3].published_at},
+            {'tags.role': 'db', count: 2, total_size: 3072, max_size: 2048,
+                newest: images[1].published_at},
+            {'tags.role': 'web', count: 1, total_size: 3072, max_size: 3072,
+                newest: images[2].published_at}
+        ], 'a group per value, including none');
+
+        runList(createCli(images), ['--group-by', 'channels', '-H'],
+                function (err2, stdout2) {
+            t.ifError(err2);
+            t.equal(stdout2, [
+                'dev       2      3072        2048      ' +
+                    '2024-01-02T00:00:00.000Z',
+                'prod      3      9216        4096      ' +
+                    '2024-01-04T00:00:00.000Z',
+                ''
+            ].join('\n'), 'an image is in the group of each array value');
+            t.end();
+        });
+    });
+});
+
+
+test('list: --since and --until', function (t) {
+    var images = makeImages(6);
+    images[3].published_at = '2024-01-03T23:00:00.000Z';
+    var cli = createCli(images);
+
+    runList(cli, ['-H', '-o', 'name', '--since', '2024-01-02',
+            '--until', '2024-01-03'], function (err, stdout) {
+        t.ifError(err);
+        t.equal(stdout, 'img1\nimg2\nimg3\n',
+            'a date-only --until includes that whole day');
+        t.equal(cli.listCalls[0].marker, '2024-01-02T00:00:00.000Z',
+            '--since is sent as the marker');
+
+        cli = createCli(images);
+        runList(cli, ['-H', '-o', 'name', '--since', '1970-01-01T00:00:00Z',
+                '--until', '2024-01-02T00:00:00Z', '--paginate', '--limit',
+                '2'], function (err2, stdout2) {
+            t.ifError(err2);
+            t.equal(stdout2, 'img0\nimg1\n');
+            t.equal(cli.listCalls[0].marker, '1970-01-01T00:00:00.000Z',
+                'a --since of the epoch is sent as the marker');
+            t.equal(cli.listCalls.length, 2,
+                'no more pages after one past --until');
+            t.end();
+        });
+    });
+});
+
+
+test('list: --since and --until durations', function (t) {
+    var images = makeImages(3);
+    images[1].published_at = new Date(
+        Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString();
+    images[2].published_at = new Date(Date.now() - 1000).toISOString();
+
+    runList(createCli(images), ['-H', '-o', 'name', '--since', '3d',
+            '--until', '1h'], function (err, stdout) {
+        t.ifError(err);
+        t.equal(stdout, 'img1\n');
+        runList(createCli(images), ['--since', 'yesterday'],
+                function (err2) {
+            t.equal(err2 && err2.code, 'Usage', 'invalid --since');
+            t.end();
+        });
+    });
+});
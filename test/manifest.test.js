@@ -0,0 +1,76 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Test client-side manifest validation.
+ */
+
+var test = require('tape');
+
+var manifest = require('../lib/manifest');
+
+
+var VALID = {
+    v: 2,
+    uuid: '1f9e6bf8-1d2f-4d5c-9a3b-2c4d5e6f7a8b',
+    owner: '930896af-bf8c-48d4-885c-6573a94b1853',
+    name: 'base',
+    version: '1.0.0',
+    os: 'smartos',
+    type: 'zone-dataset',
+    requirements: {min_ram: 1024, networks: []},
+    files: [ {sha1: 'da39a3ee5e6b4b0d3255bfef95601890afd80709', size: 0,
+        compression: 'gzip'} ],
+    tags: {role: 'db', count: 3}
+};
+
+
+test('manifest: valid', function (t) {
+    t.deepEqual(manifest.validateManifest(VALID), []);
+    t.deepEqual(manifest.validateManifest(VALID, {forImport: true}), []);
+    t.end();
+});
+
+
+test('manifest: every violation is reported', function (t) {
+    var errs = manifest.validateManifest({
+        name: 'base',
+        os: 'plan9',
+        type: 'zone-dataset',
+        origin: 'nope',
+        requirements: {min_ram: '1G', color: 'blue'},
+        files: [ {sha1: 'abc', size: -1, compression: 'zip'} ],
+        tags: {nested: {a: 1}}
+    }, {forImport: true});
+    t.deepEqual(errs.map(function (e) { return e.field + ': ' + e.code; }), [
+        'uuid: MissingParameter',
+        'owner: MissingParameter',
+        'version: MissingParameter',
+        'origin: Invalid',
+        'os: Invalid',
+        'requirements.min_ram: Invalid',
+        'requirements.color: Invalid',
+        'files.0.sha1: Invalid',
+        'files.0.size: Invalid',
+        'files.0.compression: Invalid',
+        'tags.nested: Invalid'
+    ]);
+    t.end();
+});
+
+
+test('manifest: validateUpdate', function (t) {
+    t.deepEqual(manifest.validateUpdate({description: 'hi', public: null},
+        VALID), []);
+    var errs = manifest.validateUpdate({name: 'foo', os: 'plan9'}, VALID);
+    t.deepEqual(errs.map(function (e) { return e.field + ': ' + e.code; }),
+        ['name: Invalid', 'os: Invalid']);
+    t.end();
+});
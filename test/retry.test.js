@@ -0,0 +1,70 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Test retry of IMGAPI client calls.
+ */
+
+var bunyan = require('bunyan');
+var test = require('tape');
+
+var retry = require('../lib/retry');
+
+
+var log = bunyan.createLogger({name: 'retry.test', level: 'fatal'});
+
+
+test('retry: retryDelay', function (t) {
+    t.equal(retry.retryDelay(0, {statusCode: 503,
+        headers: {'retry-after': '2'}}), 2000, 'Retry-After seconds');
+    t.equal(retry.retryDelay(0, {statusCode: 503,
+        headers: {'retry-after': '86400'}}, {maxDelay: 30000}), 30000,
+        'Retry-After is capped at maxDelay');
+    for (var attempt = 0; attempt < 8; attempt++) {
+        var delay = retry.retryDelay(attempt, null,
+            {minDelay: 100, maxDelay: 1000});
+        var max = Math.min(1000, 100 * Math.pow(2, attempt));
+        t.ok(delay >= max / 2 && delay <= max,
+            'attempt ' + attempt + ' delay ' + delay);
+    }
+    t.end();
+});
+
+
+test('retry: wrapClient', function (t) {
+    var calls = {getImage: 0, createImage: 0};
+    var client = {
+        getImage: function (uuid, cb) {
+            calls.getImage++;
+            if (calls.getImage < 3) {
+                var err = new Error('busy');
+                err.statusCode = 503;
+                return cb(err, null, {statusCode: 503, headers: {}});
+            }
+            cb(null, {uuid: uuid});
+        },
+        createImage: function (data, cb) {
+            calls.createImage++;
+            cb({code: 'ECONNRESET'});
+        }
+    };
+    retry.wrapClient(client, {retries: 2, log: log, minDelay: 1});
+
+    client.getImage('abc', function (err, image) {
+        t.ifError(err);
+        t.equal(calls.getImage, 3, 'GetImage retried');
+        t.deepEqual(image, {uuid: 'abc'});
+        client.createImage({}, function (createErr) {
+            t.equal(createErr.code, 'ECONNRESET');
+            t.equal(calls.createImage, 1, 'CreateImage not retried');
+            t.end();
+        });
+    });
+});
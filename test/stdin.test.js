@@ -0,0 +1,225 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Test `add-file -f -` (reading the image file from stdin) and the manifest
+ * template helpers with `-f -`.
+ */
+
+var bunyan = require('bunyan');
+var crypto = require('crypto');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var stream = require('stream');
+var test = require('tape');
+
+var CLI = require('../lib/cli');
+
+
+var UUID = '1f9e6bf8-1d2f-4d5c-9a3b-2c4d5e6f7a8b';
+// Gzip magic, then some data.
+var DATA = '\x1f\x8b\x08' + new Array(1001).join('from stdin ');
+
+// The spool directory: TMPDIR while the tests run.
+var tmpDir = path.join(os.tmpdir(), 'imgapi-cli-stdin-test-' + process.pid);
+
+
+function newCli() {
+    var cli = new CLI({name: 'imgapi-cli', url: 'http://localhost:1'});
+    cli.log = bunyan.createLogger({name: 'stdin.test', level: 'fatal'});
+    return cli;
+}
+
+
+/*
+ * Run `imgapi-cli add-file UUID -f - ARGS...` with a stub IMGAPI and a stub
+ * stdin.
+ *
+ * @param options {Object}
+ *      - args {Array} More `add-file` arguments.
+ *      - write {Function} `function (stdin)` to write the stub stdin.
+ *      - uploadErr {Error} Optional. An error for the upload to fail with.
+ * @param callback {Function} `function (err, upload, stdout)` where
+ *      `upload` is the `addImageFile` options, with the uploaded `data`.
+ */
+function addFileFromStdin(options, callback) {
+    var cli = newCli();
+    var upload;
+    cli.client = {
+        addImageFile: function (fopts, cb) {
+            var chunks = [];
+            upload = fopts;
+            upload.spooled = fs.readdirSync(tmpDir);
+            fopts.file.on('data', function (chunk) {
+                chunks.push(chunk);
+            });
+            fopts.file.on('end', function () {
+                var data = Buffer.concat(chunks);
+                upload.data = data.toString('binary');
+                if (options.uploadErr) {
+                    return cb(options.uploadErr);
+                }
+                cb(null, {uuid: UUID, files: [ {
+                    sha1: crypto.createHash('sha1').update(data).digest('hex'),
+                    size: data.length
+                } ]});
+            });
+            fopts.file.resume();
+        }
+    };
+
+    var stdin = new stream.PassThrough();
+    var stdinDesc = Object.getOwnPropertyDescriptor(process, 'stdin');
+    Object.defineProperty(process, 'stdin', {value: stdin,
+        configurable: true, writable: true});
+    var tmpdirEnv = process.env.TMPDIR;
+    process.env.TMPDIR = tmpDir;
+    var stdout = '';
+    var write = process.stdout.write;
+    process.stdout.write = function (chunk) {
+        stdout += chunk;
+        return true;
+    };
+
+    function done(err) {
+        process.stdout.write = write;
+        Object.defineProperty(process, 'stdin', stdinDesc);
+        if (tmpdirEnv === undefined) {
+            delete process.env.TMPDIR;
+        } else {
+            process.env.TMPDIR = tmpdirEnv;
+        }
+        callback(err, upload, stdout);
+    }
+
+    var argv = ['node', 'imgapi-cli', 'add-file', UUID, '-f', '-', '-q']
+        .concat(options.args || []);
+    cli.handleArgv(argv, [], function (argvErr) {
+        if (argvErr) {
+            return done(argvErr);
+        }
+        cli.log = bunyan.createLogger({name: 'stdin.test', level: 'fatal'});
+        cli.dispatch('add-file', argv, done);
+        options.write(stdin);
+    });
+}
+
+
+test('stdin: setup', function (t) {
+    fs.mkdirSync(tmpDir);
+    t.end();
+});
+
+
+test('stdin: add-file spools stdin', function (t) {
+    addFileFromStdin({
+        write: function (stdin) {
+            stdin.write(DATA.slice(0, 100), 'binary');
+            stdin.end(DATA.slice(100), 'binary');
+        }
+    }, function (err, upload, stdout) {
+        t.ifError(err);
+        t.equal(upload.spooled.length, 1, 'stdin was spooled');
+        t.equal(upload.size, DATA.length, 'the size is known');
+        t.equal(upload.compression, 'gzip', 'the compression is detected');
+        t.equal(upload.data, DATA, 'the file is uploaded');
+        t.ok(/^Added file "-" \(compression "gzip"\)/.test(stdout));
+        t.deepEqual(fs.readdirSync(tmpDir), [], 'the spool file is removed');
+        t.end();
+    });
+});
+
+
+test('stdin: add-file removes the spool file on failure', function (t) {
+    var uploadErr = new Error('boom');
+    uploadErr.body = {code: 'InternalError', message: 'boom'};
+    addFileFromStdin({
+        uploadErr: uploadErr,
+        write: function (stdin) {
+            stdin.end(DATA, 'binary');
+        }
+    }, function (err, upload) {
+        t.equal(err && err.code, 'InternalError', 'the upload failed');
+        t.equal(upload.spooled.length, 1, 'stdin was spooled');
+        t.deepEqual(fs.readdirSync(tmpDir), [], 'the spool file is removed');
+
+        addFileFromStdin({
+            write: function (stdin) {
+                stdin.write(DATA.slice(0, 100), 'binary');
+                setTimeout(function () {
+                    stdin.emit('error', new Error('stdin failed'));
+                }, 20);
+            }
+        }, function (stdinErr, stdinUpload) {
+            t.equal(stdinErr && stdinErr.message, 'stdin failed',
+                'reading stdin failed');
+            t.equal(stdinUpload, undefined, 'nothing is uploaded');
+            t.deepEqual(fs.readdirSync(tmpDir), [],
+                'the spool file is removed');
+            t.end();
+        });
+    });
+});
+
+
+test('stdin: add-file --size streams stdin', function (t) {
+    addFileFromStdin({
+        args: ['--size', String(DATA.length)],
+        write: function (stdin) {
+            stdin.write(DATA.slice(0, 100), 'binary');
+            setTimeout(function () {
+                stdin.end(DATA.slice(100), 'binary');
+            }, 10);
+        }
+    }, function (err, upload) {
+        t.ifError(err);
+        t.deepEqual(upload.spooled, [], 'stdin is not spooled');
+        t.equal(upload.size, DATA.length);
+        t.equal(upload.compression, 'gzip', 'the compression is detected');
+        t.equal(upload.data, DATA, 'the file is uploaded');
+
+        addFileFromStdin({
+            args: ['--size', String(DATA.length + 1)],
+            write: function (stdin) {
+                stdin.end(DATA, 'binary');
+            }
+        }, function (sizeErr) {
+            t.equal(sizeErr && sizeErr.code, 'UploadError',
+                'the uploaded size must match "--size"');
+            t.end();
+        });
+    });
+});
+
+
+test('stdin: manifest template helpers with "-f -"', function (t) {
+    var cli = newCli();
+    var tmpl = {name: 'base', files: [ {sha1: '{{sha1}}', size: '{{size}}'} ]};
+    cli._renderManifestTemplate(tmpl, {file: '-'}, function (err) {
+        t.equal(err && err.code, 'Usage');
+        t.ok(/"sha1" and "size" manifest template helpers/.test(
+            err && err.message), err && err.message);
+
+        var opts = {file: '-', set: ['sha1=abc', 'size=42']};
+        cli._renderManifestTemplate(tmpl, opts, function (setErr, manifest) {
+            t.ifError(setErr);
+            t.deepEqual(manifest && manifest.files,
+                [ {sha1: 'abc', size: 42} ], 'they can be set');
+            t.end();
+        });
+    });
+});
+
+
+test('stdin: teardown', function (t) {
+    fs.rmdirSync(tmpDir);
+    t.end();
+});
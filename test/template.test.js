@@ -0,0 +1,48 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Test manifest templates.
+ */
+
+var test = require('tape');
+
+var template = require('../lib/template');
+
+
+var TEMPLATE = {
+    name: 'base-{{ build }}',
+    requirements: {min_ram: '{{ram}}'},
+    tags: {team: '{{tags.team}}', build: '{{build}}'},
+    acl: ['{{build}}']
+};
+
+
+test('template: templateVarNames', function (t) {
+    t.deepEqual(template.templateVarNames(TEMPLATE),
+        ['build', 'ram', 'tags.team']);
+    t.deepEqual(template.templateVarNames({name: 'base'}), []);
+    t.end();
+});
+
+
+test('template: renderTemplate', function (t) {
+    var vars = {build: 42, ram: 1024, tags: {team: 'ops'}};
+    t.deepEqual(template.renderTemplate(TEMPLATE, vars), {
+        name: 'base-42',
+        requirements: {min_ram: 1024},
+        tags: {team: 'ops', build: 42},
+        acl: [42]
+    });
+    t.throws(function () {
+        template.renderTemplate(TEMPLATE, {build: 42});
+    }, /undefined manifest template variables: ram, tags.team/);
+    t.end();
+});
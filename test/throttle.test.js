@@ -0,0 +1,39 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Test bandwidth limiting of streams.
+ */
+
+var stream = require('stream');
+var test = require('tape');
+
+var throttle = require('../lib/throttle').throttle;
+
+
+test('throttle', function (t) {
+    var input = new stream.PassThrough();
+    t.equal(throttle(input), input, 'no rate, no throttling');
+
+    var start = Date.now();
+    var size = 0;
+    var output = throttle(input, 10000);
+    output.on('data', function (chunk) {
+        size += chunk.length;
+    });
+    output.on('end', function () {
+        var elapsed = Date.now() - start;
+        t.equal(size, 5000, 'all data passed');
+        // 5000 bytes at 10000 bytes/s, the first 1000 bytes passed at once.
+        t.ok(elapsed >= 350, 'throttled (' + elapsed + 'ms)');
+        t.end();
+    });
+    input.end(new Array(5001).join('x'));
+});
@@ -0,0 +1,166 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Test `verify` and its exit statuses.
+ */
+
+var bunyan = require('bunyan');
+var crypto = require('crypto');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var test = require('tape');
+var zlib = require('zlib');
+
+var CLI = require('../lib/cli');
+
+
+var FILE = path.join(os.tmpdir(), 'imgapi-cli-verify-test-' + process.pid +
+    '.gz');
+
+// The images of the stub IMGAPI, by UUID. The "match" and "other-sha1"
+// image files are set up to match FILE, the latter except for the SHA-1.
+var IMAGES = {
+    '1f9e6bf8-1d2f-4d5c-9a3b-2c4d5e6f7a8b': {
+        name: 'match'
+    },
+    '2d3c6d8e-0b53-4f25-9a3a-9b1e8e4f9c11': {
+        name: 'other-sha1'
+    },
+    '3a6b1c2d-4e5f-4a6b-8c7d-9e0f1a2b3c4d': {
+        name: 'other-size',
+        files: [ {
+            sha1: 'da39a3ee5e6b4b0d3255bfef95601890afd80709',
+            size: 42,
+            compression: 'xz'
+        } ]
+    },
+    '4b7c2d3e-5f6a-4b7c-9d8e-0f1a2b3c4d5e': {
+        name: 'no-file',
+        files: []
+    }
+};
+var UNKNOWN = '5c8d3e4f-6a7b-4c8d-8e9f-1a2b3c4d5e6f';
+
+
+/*
+ * Run `imgapi-cli verify UUID -f FILE` against the stub IMGAPI and call back
+ * with the error and stdout.
+ */
+function verify(uuid, file, callback) {
+    var cli = new CLI({name: 'imgapi-cli', url: 'http://localhost:1'});
+    cli.log = bunyan.createLogger({name: 'verify.test', level: 'fatal'});
+    cli.client = {
+        getImage: function (imageUuid, cb) {
+            var image = IMAGES[imageUuid];
+            if (!image) {
+                var err = new Error('image not found');
+                err.statusCode = 404;
+                err.body = {code: 'ResourceNotFound',
+                    message: 'image not found'};
+                return cb(err);
+            }
+            image.uuid = imageUuid;
+            image.version = '1.0.0';
+            cb(null, image);
+        }
+    };
+
+    var stdout = '';
+    var write = process.stdout.write;
+    process.stdout.write = function (chunk) {
+        stdout += chunk;
+        return true;
+    };
+    cli.do_verify('verify', {file: file}, [uuid], function (err) {
+        process.stdout.write = write;
+        callback(err, stdout);
+    });
+}
+
+
+test('verify: setup', function (t) {
+    zlib.gzip(new Array(1001).join('verify me '), function (err, data) {
+        t.ifError(err);
+        fs.writeFileSync(FILE, data);
+        var file = {
+            sha1: crypto.createHash('sha1').update(data).digest('hex'),
+            size: data.length,
+            compression: 'gzip'
+        };
+        IMAGES['1f9e6bf8-1d2f-4d5c-9a3b-2c4d5e6f7a8b'].files = [file];
+        IMAGES['2d3c6d8e-0b53-4f25-9a3a-9b1e8e4f9c11'].files = [ {
+            sha1: 'da39a3ee5e6b4b0d3255bfef95601890afd80709',
+            size: file.size,
+            compression: file.compression
+        } ];
+        t.end();
+    });
+});
+
+
+test('verify: match', function (t) {
+    verify('1f9e6bf8-1d2f-4d5c-9a3b-2c4d5e6f7a8b', FILE,
+            function (err, stdout) {
+        t.ifError(err, 'exit status 0');
+        t.ok(/matches image/.test(stdout), 'prints the match');
+        t.end();
+    });
+});
+
+
+test('verify: mismatch', function (t) {
+    verify('2d3c6d8e-0b53-4f25-9a3a-9b1e8e4f9c11', FILE, function (err) {
+        t.equal(err && err.code, 'VerifyMismatch');
+        t.equal(err && err.exitStatus, 2);
+        t.ok(/sha1: expected/.test(err && err.message), 'SHA-1 mismatch');
+
+        verify('3a6b1c2d-4e5f-4a6b-8c7d-9e0f1a2b3c4d', FILE,
+                function (sizeErr) {
+            t.equal(sizeErr && sizeErr.exitStatus, 2);
+            t.ok(/size: expected 42/.test(sizeErr && sizeErr.message),
+                'size mismatch');
+            t.ok(/compression: expected xz, got gzip/.test(
+                sizeErr && sizeErr.message), 'compression mismatch');
+            t.notOk(/sha1/.test(sizeErr && sizeErr.message),
+                'not hashed if the size differs');
+
+            verify('4b7c2d3e-5f6a-4b7c-9d8e-0f1a2b3c4d5e', FILE,
+                    function (noFileErr) {
+                t.equal(noFileErr && noFileErr.exitStatus, 2,
+                    'the image has no file');
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('verify: file not found', function (t) {
+    var missing = FILE + '.missing';
+    verify('1f9e6bf8-1d2f-4d5c-9a3b-2c4d5e6f7a8b', missing, function (err) {
+        t.equal(err && err.code, 'FileNotFound');
+        t.equal(err && err.exitStatus, 3);
+
+        verify(UNKNOWN, missing, function (unknownErr) {
+            t.equal(unknownErr && unknownErr.code, 'ResourceNotFound',
+                'the image is checked first');
+            t.equal(unknownErr && unknownErr.exitStatus, 1);
+            t.end();
+        });
+    });
+});
+
+
+test('verify: teardown', function (t) {
+    fs.unlinkSync(FILE);
+    t.end();
+});